@@ -0,0 +1,294 @@
+/**
+ * Account Analytics
+ * Scheduled snapshots of tracked accounts' follower/following/tweet counts and
+ * per-tweet engagement, with growth, engagement rate and cadence over a period
+ */
+
+const { readJson, createSaver } = require('./json-store.cjs');
+const { twitterRequest } = require('./twitter-client.cjs');
+const { round, engagementOf } = require('./helpers.cjs');
+
+const SNAPSHOT_FILE = 'account-snapshots.json';
+const RETENTION_DAYS = parseInt(process.env.ACCOUNT_SNAPSHOT_RETENTION_DAYS) || 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Users lookup accepts up to 100 usernames per call
+const LOOKUP_BATCH_SIZE = 100;
+
+// Engagement samples kept per tweet (enough to see how a post picked up)
+const MAX_TWEET_SAMPLES = 30;
+
+// Posting cadence is reported in Indian Standard Time
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const stored = readJson(SNAPSHOT_FILE, {});
+
+// Lowercased username -> { user, snapshots: [...], tweets: { id -> tweet with samples } }
+const accounts = new Map(Object.entries(stored.accounts || {}));
+let lastRun = stored.lastRun || null;
+let running = false;
+
+const saver = createSaver(SNAPSHOT_FILE, () => ({
+  accounts: Object.fromEntries(accounts),
+  lastRun
+}));
+
+function accountFor(user) {
+  const key = user.username.toLowerCase();
+  if (!accounts.has(key)) {
+    accounts.set(key, { user, snapshots: [], tweets: {} });
+  }
+  const account = accounts.get(key);
+  account.user = { id: user.id, username: user.username, name: user.name, profile_image_url: user.profile_image_url, verified: user.verified };
+  return account;
+}
+
+/**
+ * Drop snapshots and tweets older than the retention window
+ */
+function pruneAccount(account) {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+  account.snapshots = account.snapshots.filter(snapshot => snapshot.taken_at >= cutoff);
+  Object.keys(account.tweets).forEach(id => {
+    if (account.tweets[id].created_at < cutoff) delete account.tweets[id];
+  });
+}
+
+/**
+ * Record the current public_metrics of a user object as a snapshot
+ */
+function recordUserSnapshot(user, takenAt) {
+  const account = accountFor(user);
+  const metrics = user.public_metrics || {};
+  account.snapshots.push({
+    taken_at: takenAt,
+    followers_count: metrics.followers_count || 0,
+    following_count: metrics.following_count || 0,
+    tweet_count: metrics.tweet_count || 0,
+    listed_count: metrics.listed_count || 0
+  });
+  return account;
+}
+
+/**
+ * Record the latest engagement for an account's recent tweets
+ */
+function recordTweetSamples(account, tweets, takenAt) {
+  tweets.forEach(tweet => {
+    const existing = account.tweets[tweet.id];
+    const sample = { taken_at: takenAt, ...tweet.public_metrics };
+    const samples = existing ? [...existing.samples, sample].slice(-MAX_TWEET_SAMPLES) : [sample];
+
+    account.tweets[tweet.id] = {
+      id: tweet.id,
+      text: tweet.text,
+      created_at: tweet.created_at,
+      public_metrics: tweet.public_metrics || {},
+      samples
+    };
+  });
+}
+
+/**
+ * Snapshot every tracked account: one users lookup per 100 handles, then
+ * one timeline page per account for post engagement.
+ * onTweets(payload) receives each timeline so callers can archive it.
+ */
+async function takeSnapshots(usernames, onTweets) {
+  if (running) {
+    return { skipped: true, reason: 'Snapshot already running' };
+  }
+
+  running = true;
+  try {
+    const takenAt = new Date().toISOString();
+    const summary = { startedAt: takenAt, accounts: {} };
+    const handles = Array.from(new Set(usernames.map(name => name.replace(/^@/, ''))));
+
+    for (let i = 0; i < handles.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = handles.slice(i, i + LOOKUP_BATCH_SIZE);
+      let lookup;
+      try {
+        lookup = await twitterRequest('/users/by', {
+          usernames: batch.join(','),
+          'user.fields': 'name,username,profile_image_url,verified,public_metrics'
+        }, { priority: 'low' });
+      } catch (error) {
+        console.error('[Account Analytics] User lookup failed:', error.message);
+        batch.forEach(name => {
+          summary.accounts[name] = { error: error.message, rateLimited: !!error.rateLimited };
+        });
+        continue;
+      }
+
+      (lookup.errors || []).forEach(error => {
+        if (error.value) summary.accounts[error.value] = { error: error.detail || 'User not found' };
+      });
+
+      for (const user of lookup.data || []) {
+        const account = recordUserSnapshot(user, takenAt);
+        try {
+          const timeline = await twitterRequest(`/users/${user.id}/tweets`, {
+            max_results: 100,
+            'tweet.fields': 'created_at,public_metrics,entities,author_id',
+            exclude: 'retweets,replies'
+          }, { priority: 'low' });
+
+          const tweets = timeline.data || [];
+          recordTweetSamples(account, tweets, takenAt);
+          if (onTweets) onTweets({ data: tweets, includes: { users: [user] } });
+          summary.accounts[user.username] = { followers: user.public_metrics?.followers_count || 0, tweets: tweets.length };
+        } catch (error) {
+          console.error(`[Account Analytics] Timeline failed for @${user.username}:`, error.message);
+          summary.accounts[user.username] = { error: error.message, rateLimited: !!error.rateLimited };
+        }
+        pruneAccount(account);
+      }
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    lastRun = summary;
+    saver.schedule();
+    console.log(`[Account Analytics] Snapshot complete for ${handles.length} account(s)`);
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Parse ?period= (e.g. 7d, 30d, 12w) or ?from=/&to= into a time range.
+ * Returns { from, to } (epoch ms) or { error }.
+ */
+function parsePeriod(query, defaultPeriod = '30d') {
+  const to = query.to ? Date.parse(query.to) : Date.now();
+  if (isNaN(to)) return { error: 'to must be an ISO 8601 date' };
+
+  if (query.from) {
+    const from = Date.parse(query.from);
+    if (isNaN(from)) return { error: 'from must be an ISO 8601 date' };
+    if (from >= to) return { error: 'from must be before to' };
+    return { from, to };
+  }
+
+  const match = /^(\d+)([dw])$/.exec(query.period || defaultPeriod);
+  if (!match) return { error: 'period must look like 7d, 30d or 12w' };
+  const days = parseInt(match[1]) * (match[2] === 'w' ? 7 : 1);
+  return { from: to - days * DAY_MS, to };
+}
+
+/**
+ * Last snapshot of each day, for charting follower growth
+ */
+function dailySeries(snapshots) {
+  const byDay = new Map();
+  snapshots.forEach(snapshot => byDay.set(snapshot.taken_at.slice(0, 10), snapshot));
+  return Array.from(byDay.entries()).map(([date, snapshot]) => ({
+    date,
+    followers_count: snapshot.followers_count,
+    following_count: snapshot.following_count,
+    tweet_count: snapshot.tweet_count
+  }));
+}
+
+/**
+ * Growth, engagement rate, posting cadence and best posts for one account
+ * over [from, to]. Returns null when the account has never been snapshotted.
+ */
+function getAccountAnalytics(username, { from, to }, bestLimit = 5) {
+  const account = accounts.get(username.replace(/^@/, '').toLowerCase());
+  if (!account) return null;
+
+  const fromIso = new Date(from).toISOString();
+  const toIso = new Date(to).toISOString();
+  const days = Math.max(1, (to - from) / DAY_MS);
+
+  const snapshots = account.snapshots.filter(snapshot => snapshot.taken_at >= fromIso && snapshot.taken_at <= toIso);
+  const first = snapshots[0];
+  const last = snapshots[snapshots.length - 1];
+
+  const followers = first ? {
+    start: first.followers_count,
+    end: last.followers_count,
+    change: last.followers_count - first.followers_count,
+    change_pct: first.followers_count ? round((last.followers_count - first.followers_count) / first.followers_count * 100) : null,
+    per_day: round((last.followers_count - first.followers_count) / days),
+    series: dailySeries(snapshots)
+  } : null;
+
+  const posts = Object.values(account.tweets)
+    .filter(tweet => tweet.created_at >= fromIso && tweet.created_at <= toIso)
+    .map(tweet => ({ ...tweet, engagement: engagementOf(tweet.public_metrics) }));
+
+  const totalEngagement = posts.reduce((sum, tweet) => sum + tweet.engagement, 0);
+  const totalImpressions = posts.reduce((sum, tweet) => sum + (tweet.public_metrics.impression_count || 0), 0);
+  const followerBase = last?.followers_count || account.snapshots[account.snapshots.length - 1]?.followers_count || 0;
+  const perPost = posts.length ? totalEngagement / posts.length : 0;
+
+  const byWeekday = Object.fromEntries(WEEKDAYS.map(day => [day, 0]));
+  const byHour = Array(24).fill(0);
+  posts.forEach(tweet => {
+    const local = new Date(new Date(tweet.created_at).getTime() + IST_OFFSET_MS);
+    byWeekday[WEEKDAYS[local.getUTCDay()]]++;
+    byHour[local.getUTCHours()]++;
+  });
+
+  const best = posts
+    .slice()
+    .sort((a, b) => b.engagement - a.engagement)
+    .slice(0, bestLimit)
+    .map(tweet => ({
+      id: tweet.id,
+      text: tweet.text,
+      created_at: tweet.created_at,
+      public_metrics: tweet.public_metrics,
+      engagement: tweet.engagement,
+      engagement_rate: followerBase ? round(tweet.engagement / followerBase * 100, 3) : null
+    }));
+
+  return {
+    user: account.user,
+    period: { from: fromIso, to: toIso, days: round(days, 1) },
+    snapshots: snapshots.length,
+    followers,
+    engagement: {
+      posts: posts.length,
+      total: totalEngagement,
+      per_post: round(perPost),
+      // Average engagement per post as a percentage of followers
+      rate: followerBase ? round(perPost / followerBase * 100, 3) : null,
+      impressions: totalImpressions
+    },
+    cadence: {
+      posts_per_day: round(posts.length / days),
+      by_weekday: byWeekday,
+      by_hour_ist: byHour
+    },
+    best_posts: best
+  };
+}
+
+/**
+ * Tracked accounts with their latest snapshot
+ */
+function listTrackedAccounts() {
+  return Array.from(accounts.values()).map(account => ({
+    user: account.user,
+    latest: account.snapshots[account.snapshots.length - 1] || null,
+    snapshots: account.snapshots.length,
+    tweets: Object.keys(account.tweets).length
+  }));
+}
+
+function getSnapshotStatus() {
+  return { accounts: accounts.size, running, lastRun, retentionDays: RETENTION_DAYS };
+}
+
+module.exports = {
+  takeSnapshots,
+  parsePeriod,
+  getAccountAnalytics,
+  listTrackedAccounts,
+  getSnapshotStatus
+};
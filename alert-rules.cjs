@@ -0,0 +1,587 @@
+/**
+ * Alert Rules
+ * User-defined rules evaluated as news, tweets and transcript lines come in:
+ * negative (or any) coverage of a seat above a count in a time window, tweets about
+ * a leader passing an engagement threshold, and watched phrases. Fired alerts are
+ * deduplicated, held back during a rule's cool-down, kept in a history and delivered
+ * over Socket.IO (namespace /alerts) and HTTP webhooks.
+ *
+ * Rules and history live in DATA_DIR of the process that evaluates them, and each
+ * entry point sees different sources: twitter-proxy.cjs runs the news collector, outlet
+ * polls and tweet collectors; start-server.cjs has the stream, live transcription and
+ * the RSS proxy; start-transcription-server.cjs only transcripts. Run the engine in one
+ * process (or several sharing DATA_DIR, restarted after rule edits) and set
+ * ALERTS_ENABLED=false on the others, which then neither evaluate rules nor serve
+ * the /api/alerts routes.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { readJson, createSaver } = require('./json-store.cjs');
+const { isPrivateAddress, fetchPage } = require('./feed-fetcher.cjs');
+const constituencies = require('./constituencies.cjs');
+const { tokenize } = require('./sentiment.cjs');
+const { analyzeContent, analyzeArticle, getEntities, getIssueCategories } = require('./content-analysis.cjs');
+const { slugify, engagementOf } = require('./helpers.cjs');
+
+// Off in processes that leave alerting to another one (see above)
+const ENABLED = process.env.ALERTS_ENABLED !== 'false';
+
+const RULES_FILE = 'alert-rules.json';
+const HISTORY_FILE = 'alert-history.json';
+
+const RULE_TYPES = ['news_volume', 'tweet_engagement', 'keyword'];
+const SOURCES = ['news', 'tweets', 'transcripts'];
+const SENTIMENTS = ['positive', 'negative', 'neutral'];
+
+const MAX_ALERTS = parseInt(process.env.ALERT_HISTORY_MAX) || 1000;
+// Webhooks every alert is sent to, on top of each rule's own webhookUrl. These come from the
+// operator, so unlike rule webhooks they may point at internal services.
+const GLOBAL_WEBHOOKS = (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000;
+// news_volume windows are capped so the observed-article buffer stays bounded
+const MAX_WINDOW_MINUTES = 24 * 60;
+// A tweet or article fires an item rule once; the marks are forgotten after this
+const DEDUPE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = { news_volume: 60, tweet_engagement: 0, keyword: 0 };
+const EXAMPLES_PER_ALERT = 5;
+
+// Rule ID -> rule
+const rules = new Map(Object.entries(readJson(RULES_FILE, {})));
+
+const storedHistory = readJson(HISTORY_FILE, {});
+// Fired alerts, oldest first
+const alerts = storedHistory.alerts || [];
+// "rule:<id>" (cool-down) or "item:<rule id>:<item>" (dedupe) -> last fired at (ms)
+const lastFired = new Map(Object.entries(storedHistory.lastFired || {}));
+
+// Article ID -> { at, text, constituencies, sentiment, issues, entities } for news_volume windows
+const observedArticles = new Map();
+
+let namespace = null;
+
+const rulesSaver = createSaver(RULES_FILE, () => Object.fromEntries(rules), 500);
+const historySaver = createSaver(HISTORY_FILE, () => ({ alerts, lastFired: Object.fromEntries(lastFired) }));
+
+/**
+ * Rule webhook targets must be public http(s) URLs on the default ports. This only catches
+ * literals early; postWebhook checks every address the host resolves to when it connects.
+ */
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'webhookUrl must be an absolute http(s) URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'webhookUrl must be an absolute http(s) URL';
+  }
+  if (url.port && url.port !== '80' && url.port !== '443') {
+    return `webhookUrl port ${url.port} is not allowed`;
+  }
+  if (url.username || url.password) {
+    return 'webhookUrl must not contain credentials';
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || (net.isIP(host) && isPrivateAddress(host))) {
+    return `webhookUrl points at a private address: ${url.hostname}`;
+  }
+  return null;
+}
+
+/**
+ * Validate and normalise rule input. Returns { rule } or { error }.
+ * With partial=true only the fields present are checked (for updates); type cannot change.
+ */
+function validateRule(input, type, partial = false) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Rule body required' };
+  }
+  if (!RULE_TYPES.includes(type)) {
+    return { error: `type must be one of ${RULE_TYPES.join(', ')}` };
+  }
+
+  const rule = {};
+  const has = field => input[field] !== undefined || !partial;
+
+  if (has('name')) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'name is required' };
+    }
+    rule.name = input.name.trim();
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+    rule.enabled = input.enabled;
+  }
+
+  if (input.cooldownMinutes !== undefined) {
+    if (!Number.isInteger(input.cooldownMinutes) || input.cooldownMinutes < 0) {
+      return { error: 'cooldownMinutes must be a non-negative integer' };
+    }
+    rule.cooldownMinutes = input.cooldownMinutes;
+  }
+
+  if (input.webhookUrl !== undefined) {
+    if (input.webhookUrl !== null) {
+      const urlError = validateWebhookUrl(input.webhookUrl);
+      if (urlError) return { error: urlError };
+    }
+    rule.webhookUrl = input.webhookUrl;
+  }
+
+  if (input.entity !== undefined && input.entity !== null) {
+    if (!getEntities().some(entity => entity.id === input.entity)) {
+      return { error: `Unknown entity: ${input.entity}` };
+    }
+  }
+
+  if (type === 'news_volume') {
+    if (has('threshold')) {
+      if (!Number.isInteger(input.threshold) || input.threshold < 1) {
+        return { error: 'threshold must be a positive integer (articles in the window)' };
+      }
+      rule.threshold = input.threshold;
+    }
+    if (input.windowMinutes !== undefined) {
+      if (!Number.isInteger(input.windowMinutes) || input.windowMinutes < 1 || input.windowMinutes > MAX_WINDOW_MINUTES) {
+        return { error: `windowMinutes must be between 1 and ${MAX_WINDOW_MINUTES}` };
+      }
+      rule.windowMinutes = input.windowMinutes;
+    }
+    if (input.constituency !== undefined && input.constituency !== null) {
+      const constituency = constituencies.findConstituency(input.constituency);
+      if (!constituency) return { error: `Unknown constituency: ${input.constituency}` };
+      rule.constituency = constituency.id;
+    } else if (input.constituency === null) {
+      rule.constituency = null;
+    }
+    if (input.sentiment !== undefined && input.sentiment !== null && !SENTIMENTS.includes(input.sentiment)) {
+      return { error: `sentiment must be one of ${SENTIMENTS.join(', ')}` };
+    }
+    if (input.sentiment !== undefined) rule.sentiment = input.sentiment;
+    if (input.issue !== undefined && input.issue !== null &&
+      !getIssueCategories().some(category => category.id === input.issue)) {
+      return { error: `Unknown issue: ${input.issue}` };
+    }
+    if (input.issue !== undefined) rule.issue = input.issue;
+    if (input.entity !== undefined) rule.entity = input.entity;
+  }
+
+  if (type === 'tweet_engagement') {
+    if (has('threshold')) {
+      if (!Number.isInteger(input.threshold) || input.threshold < 1) {
+        return { error: 'threshold must be a positive integer (likes + retweets + replies + quotes)' };
+      }
+      rule.threshold = input.threshold;
+    }
+    if (input.entity !== undefined) rule.entity = input.entity;
+    if (input.keyword !== undefined) {
+      if (input.keyword !== null && (typeof input.keyword !== 'string' || !input.keyword.trim())) {
+        return { error: 'keyword must be a non-empty string' };
+      }
+      rule.keyword = input.keyword && input.keyword.trim();
+    }
+  }
+
+  if (type === 'keyword') {
+    if (has('phrases')) {
+      if (!Array.isArray(input.phrases) || input.phrases.length === 0 ||
+        !input.phrases.every(phrase => typeof phrase === 'string' && phrase.trim())) {
+        return { error: 'phrases must be a non-empty array of strings' };
+      }
+      rule.phrases = input.phrases.map(phrase => phrase.trim());
+    }
+    if (input.sources !== undefined) {
+      if (!Array.isArray(input.sources) || input.sources.length === 0 || !input.sources.every(source => SOURCES.includes(source))) {
+        return { error: `sources must be a non-empty array of ${SOURCES.join(', ')}` };
+      }
+      rule.sources = input.sources;
+    }
+  }
+
+  return { rule };
+}
+
+/**
+ * Create a rule: { name, type, enabled?, cooldownMinutes?, webhookUrl?, id?, ...type fields }
+ *   news_volume: threshold, windowMinutes? (60), constituency?, sentiment?, issue?, entity?
+ *   tweet_engagement: threshold, entity?, keyword?
+ *   keyword: phrases, sources? (news, tweets, transcripts)
+ */
+function createRule(input) {
+  const type = input && input.type;
+  const { rule, error } = validateRule(input, type);
+  if (error) return { error };
+
+  const id = slugify(input.id || rule.name);
+  if (!id) return { error: 'Rule id could not be derived from name' };
+  if (rules.has(id)) return { error: `Alert rule already exists: ${id}`, conflict: true };
+
+  const defaults = type === 'news_volume' ? { windowMinutes: 60 } : type === 'keyword' ? { sources: SOURCES } : {};
+  const created = {
+    id,
+    type,
+    enabled: true,
+    cooldownMinutes: DEFAULT_COOLDOWN_MINUTES[type],
+    webhookUrl: null,
+    ...defaults,
+    ...rule,
+    created_at: new Date().toISOString()
+  };
+  rules.set(id, created);
+  rulesSaver.schedule();
+  return { rule: created };
+}
+
+function updateRule(id, input) {
+  const existing = rules.get(id);
+  if (!existing) return { error: `Alert rule not found: ${id}`, notFound: true };
+  if (input && input.type !== undefined && input.type !== existing.type) {
+    return { error: 'type cannot be changed; create a new rule instead' };
+  }
+
+  const { rule, error } = validateRule(input, existing.type, true);
+  if (error) return { error };
+
+  const updated = { ...existing, ...rule, id, updated_at: new Date().toISOString() };
+  rules.set(id, updated);
+  rulesSaver.schedule();
+  return { rule: updated };
+}
+
+function deleteRule(id) {
+  const existing = rules.get(id);
+  if (!existing) return { error: `Alert rule not found: ${id}`, notFound: true };
+
+  rules.delete(id);
+  rulesSaver.schedule();
+  return { rule: existing };
+}
+
+function listRules() {
+  return Array.from(rules.values()).map(rule => ({
+    ...rule,
+    last_fired_at: lastFired.has(`rule:${rule.id}`) ? new Date(lastFired.get(`rule:${rule.id}`)).toISOString() : null
+  }));
+}
+
+function getRule(id) {
+  return rules.get(id) || null;
+}
+
+function activeRules(type) {
+  return Array.from(rules.values()).filter(rule => rule.enabled && rule.type === type);
+}
+
+/**
+ * POST an alert to a webhook. Rule webhooks go through the feed fetcher, which refuses
+ * private addresses at connect time (hostnames resolving to internal services included);
+ * operator webhooks are sent as they are. Resolves to the delivery outcome; never throws.
+ */
+async function postWebhook(url, alert, trusted) {
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'bengal-alerts/1.0' };
+  const body = JSON.stringify({ event: 'alert', alert });
+  try {
+    if (!trusted) {
+      const response = await fetchPage(url, {
+        method: 'POST',
+        headers,
+        body,
+        contentTypes: null,
+        maxRedirects: 0,
+        timeoutMs: WEBHOOK_TIMEOUT_MS
+      });
+      return { url, ok: true, status: response.status };
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      redirect: 'manual'
+    });
+    return { url, ok: response.ok, status: response.status };
+  } catch (error) {
+    console.error(`[Alerts] Webhook ${url} failed:`, error.message);
+    return { url, ok: false, ...(error.upstreamStatus ? { status: error.upstreamStatus } : {}), error: error.message };
+  }
+}
+
+async function deliver(alert, rule) {
+  if (namespace) {
+    namespace.to('all').to(`rule:${rule.id}`).emit('alert', alert);
+    alert.delivery.socket = true;
+  }
+
+  const urls = [...new Set([rule.webhookUrl, ...GLOBAL_WEBHOOKS].filter(Boolean))];
+  alert.delivery.webhooks = await Promise.all(urls.map(url => postWebhook(url, alert, GLOBAL_WEBHOOKS.includes(url))));
+  historySaver.schedule();
+}
+
+/**
+ * Forget cool-down and dedupe marks older than they can matter
+ */
+function pruneFired(now) {
+  lastFired.forEach((at, key) => {
+    if (now - at > DEDUPE_RETENTION_MS) lastFired.delete(key);
+  });
+}
+
+/**
+ * Record and deliver an alert unless the rule is cooling down or the item already fired it.
+ * itemKey identifies the tweet/article/line for per-item rules (null for windowed rules).
+ */
+function fire(rule, itemKey, details) {
+  const now = Date.now();
+  const ruleKey = `rule:${rule.id}`;
+  const dedupeKey = itemKey ? `item:${rule.id}:${itemKey}` : null;
+
+  if (dedupeKey && lastFired.has(dedupeKey)) return null;
+  if (rule.cooldownMinutes > 0 && lastFired.has(ruleKey) && now - lastFired.get(ruleKey) < rule.cooldownMinutes * 60 * 1000) {
+    return null;
+  }
+
+  lastFired.set(ruleKey, now);
+  if (dedupeKey) lastFired.set(dedupeKey, now);
+  pruneFired(now);
+
+  const alert = {
+    id: `${rule.id}-${now.toString(36)}-${crypto.randomBytes(2).toString('hex')}`,
+    rule_id: rule.id,
+    rule_name: rule.name,
+    type: rule.type,
+    ...details,
+    created_at: new Date(now).toISOString(),
+    delivery: { socket: false, webhooks: [] }
+  };
+  alerts.push(alert);
+  if (alerts.length > MAX_ALERTS) alerts.splice(0, alerts.length - MAX_ALERTS);
+  historySaver.schedule();
+  console.log(`[Alerts] ${rule.id}: ${alert.message}`);
+
+  deliver(alert, rule);
+  return alert;
+}
+
+function wordsOf(text) {
+  return ` ${tokenize(text).map(token => token.word).join(' ')} `;
+}
+
+/**
+ * First phrase found in the text as whole words (so "shah" does not match "shahi"), or null
+ */
+function containsPhrase(text, phrases) {
+  const words = wordsOf(text);
+  return phrases.find(phrase => {
+    const phraseWords = wordsOf(phrase);
+    return phraseWords.trim() && words.includes(phraseWords);
+  }) || null;
+}
+
+/**
+ * Watched-phrase rules for one item of a source
+ */
+function checkKeywordRules(source, itemKey, text, subject) {
+  activeRules('keyword')
+    .filter(rule => rule.sources.includes(source))
+    .forEach(rule => {
+      const phrase = containsPhrase(text, rule.phrases);
+      if (!phrase) return;
+      fire(rule, `${source}:${itemKey}`, {
+        source,
+        message: `"${phrase}" in ${source}: ${(subject.text || text || '').substring(0, 120)}`,
+        subject: { text, ...subject, phrase }
+      });
+    });
+}
+
+function pruneObservedArticles(now) {
+  observedArticles.forEach((article, id) => {
+    if (now - article.at > MAX_WINDOW_MINUTES * 60 * 1000) observedArticles.delete(id);
+  });
+}
+
+/**
+ * Articles seen by the news collector or news routes, optionally for one constituency.
+ * Articles may already carry content analysis (from analyzeArticle); others are analysed here.
+ */
+function observeArticles(articles, constituencyId = null) {
+  if (!ENABLED) return;
+  const now = Date.now();
+  let added = false;
+
+  (articles || []).forEach(article => {
+    const id = article.id || article.url;
+    if (!id) return;
+
+    const existing = observedArticles.get(id);
+    if (existing) {
+      if (constituencyId && !existing.constituencies.has(constituencyId)) {
+        existing.constituencies.add(constituencyId);
+        added = true;
+      }
+      return;
+    }
+
+    const analysed = article.sentiment_targets ? article : analyzeArticle(article);
+    const seenAt = Date.parse(article.first_seen_at) || now;
+    observedArticles.set(id, {
+      at: seenAt,
+      title: article.title,
+      url: article.url,
+      constituencies: new Set(constituencyId ? [constituencyId] : []),
+      sentiment: analysed.sentiment,
+      issues: analysed.issues || [],
+      entities: analysed.sentiment_targets.map(target => target.id)
+    });
+    added = true;
+
+    // Keyword rules only look at articles new to the window, so re-collected ones do not fire again
+    if (now - seenAt <= MAX_WINDOW_MINUTES * 60 * 1000) {
+      checkKeywordRules('news', id, [article.title, article.description].filter(Boolean).join('. '), {
+        article_id: id, title: article.title, url: article.url, constituency_id: constituencyId
+      });
+    }
+  });
+
+  pruneObservedArticles(now);
+  if (!added) return;
+
+  activeRules('news_volume').forEach(rule => {
+    const since = now - rule.windowMinutes * 60 * 1000;
+    const matching = Array.from(observedArticles.entries()).filter(([, article]) =>
+      article.at >= since &&
+      (!rule.constituency || article.constituencies.has(rule.constituency)) &&
+      (!rule.sentiment || article.sentiment === rule.sentiment) &&
+      (!rule.issue || article.issues.includes(rule.issue)) &&
+      (!rule.entity || article.entities.includes(rule.entity)));
+    if (matching.length < rule.threshold) return;
+
+    const what = [rule.sentiment, rule.issue && `${rule.issue.replace(/_/g, ' ')}`].filter(Boolean).join(' ');
+    const where = rule.constituency ? ` for ${rule.constituency}` : '';
+    fire(rule, null, {
+      source: 'news',
+      message: `${matching.length} ${what ? `${what} ` : ''}articles${where} in the last ${rule.windowMinutes} min (threshold ${rule.threshold})`,
+      subject: {
+        constituency_id: rule.constituency || null,
+        count: matching.length,
+        window_minutes: rule.windowMinutes,
+        articles: matching
+          .sort(([, a], [, b]) => b.at - a.at)
+          .slice(0, EXAMPLES_PER_ALERT)
+          .map(([id, article]) => ({ id, title: article.title, url: article.url }))
+      }
+    });
+  });
+}
+
+/**
+ * Tweets as they are archived (every Twitter route, the stream and the collector),
+ * with the latest metrics each time a tweet is seen
+ */
+function observeTweets(tweets, users = []) {
+  if (!ENABLED) return;
+  const engagementRules = activeRules('tweet_engagement');
+  const keywordRules = activeRules('keyword').filter(rule => rule.sources.includes('tweets'));
+  if (engagementRules.length === 0 && keywordRules.length === 0) return;
+
+  (tweets || []).forEach(tweet => {
+    if (!tweet?.id) return;
+    const author = users.find(user => user.id === tweet.author_id);
+    const subject = {
+      tweet_id: tweet.id,
+      text: tweet.text,
+      author: author ? author.username : tweet.author_id || null,
+      url: author ? `https://x.com/${author.username}/status/${tweet.id}` : null
+    };
+
+    if (keywordRules.length > 0) checkKeywordRules('tweets', tweet.id, tweet.text, subject);
+
+    const engagement = engagementOf(tweet.public_metrics);
+    const candidates = engagementRules.filter(rule => engagement >= rule.threshold &&
+      (!rule.keyword || containsPhrase(tweet.text, [rule.keyword])));
+    if (candidates.length === 0) return;
+
+    const mentioned = candidates.some(rule => rule.entity)
+      ? analyzeContent(tweet.text).sentiment_targets.map(target => target.id)
+      : [];
+    candidates
+      .filter(rule => !rule.entity || mentioned.includes(rule.entity))
+      .forEach(rule => fire(rule, tweet.id, {
+        source: 'tweets',
+        message: `Tweet${rule.entity ? ` mentioning ${rule.entity}` : ''} reached ${engagement} engagements (threshold ${rule.threshold})${subject.author ? ` by @${subject.author}` : ''}`,
+        subject: { ...subject, engagement, public_metrics: tweet.public_metrics }
+      }));
+  });
+}
+
+/**
+ * A transcript line from the live transcription pipeline (Bengali and English text are both searched)
+ */
+function observeTranscript(line, channelId) {
+  if (!ENABLED) return;
+  const text = [line.bengali, line.english].filter(Boolean).join('\n');
+  checkKeywordRules('transcripts', line.id, text, {
+    line_id: line.id,
+    channel_id: channelId,
+    text: line.english || line.bengali
+  });
+}
+
+/**
+ * Fired alerts, newest first.
+ * filters: rule, type, source, since (ISO time), limit
+ */
+function getAlerts(filters = {}) {
+  const since = filters.since ? Date.parse(filters.since) : null;
+  const limit = Math.min(parseInt(filters.limit) || 50, MAX_ALERTS);
+  const matching = alerts.filter(alert =>
+    (!filters.rule || alert.rule_id === filters.rule) &&
+    (!filters.type || alert.type === filters.type) &&
+    (!filters.source || alert.source === filters.source) &&
+    (!since || Date.parse(alert.created_at) > since));
+
+  return { total: matching.length, data: matching.slice().reverse().slice(0, limit) };
+}
+
+/**
+ * Push alerts to Socket.IO clients on the /alerts namespace. Clients receive every
+ * alert, or send { rules: [...] } with 'subscribe' to get only those rules'.
+ */
+function setupAlertSocket(io) {
+  if (!ENABLED) return;
+  namespace = io.of('/alerts');
+
+  namespace.on('connection', (socket) => {
+    socket.join('all');
+
+    socket.on('subscribe', (data) => {
+      const ruleIds = Array.isArray(data?.rules) && data.rules.length > 0 ? data.rules : null;
+      if (ruleIds) {
+        socket.leave('all');
+        ruleIds.forEach(ruleId => socket.join(`rule:${ruleId}`));
+      }
+      socket.emit('subscribed', { rules: ruleIds || 'all' });
+    });
+  });
+}
+
+module.exports = {
+  ENABLED,
+  RULE_TYPES,
+  SOURCES,
+  createRule,
+  updateRule,
+  deleteRule,
+  listRules,
+  getRule,
+  observeArticles,
+  observeTweets,
+  observeTranscript,
+  getAlerts,
+  setupAlertSocket
+};
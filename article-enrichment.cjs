@@ -0,0 +1,302 @@
+/**
+ * Article Enrichment
+ * Resolves Google News redirect links to the publisher's URL and extracts the
+ * article's main text, og:image, author and publish time, cached per URL
+ */
+
+const { readJson, createSaver } = require('./json-store.cjs');
+const { fetchPage } = require('./feed-fetcher.cjs');
+const { plainText } = require('./feed-parser.cjs');
+const { canonicalUrl } = require('./news-clusters.cjs');
+const { trimOldest, mapWithConcurrency } = require('./helpers.cjs');
+
+const CACHE_FILE = 'article-enrichment.json';
+const CACHE_TTL_MS = (parseInt(process.env.ENRICH_CACHE_TTL_HOURS) || 72) * 60 * 60 * 1000;
+// Failed pages are retried sooner than successful ones are refreshed
+const FAILURE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHED = parseInt(process.env.ENRICH_CACHE_MAX_ENTRIES) || 5000;
+const MAX_CONTENT_CHARS = parseInt(process.env.ENRICH_MAX_CHARS) || 5000;
+// Articles enriched per request; the rest are returned as they came from the feed
+const MAX_PER_REQUEST = parseInt(process.env.ENRICH_MAX_PER_REQUEST) || 10;
+const CONCURRENCY = 4;
+const SUMMARY_CHARS = 300;
+const MIN_PARAGRAPH_CHARS = 40;
+
+const GOOGLE_BATCH_URL = 'https://news.google.com/_/DotsSplashUi/data/batchexecute';
+const ARTICLE_TYPES = ['NewsArticle', 'Article', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'BlogPosting'];
+
+// Canonical article URL -> enrichment result (or failure) with its expiry
+const cache = new Map(Object.entries(readJson(CACHE_FILE, {}))
+  .filter(([, entry]) => entry.expires_at > Date.now()));
+// Canonical URL -> pending enrichment, so concurrent requests share one fetch
+const pending = new Map();
+
+const saver = createSaver(CACHE_FILE, () => Object.fromEntries(cache));
+
+function enrichError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Article ID from a news.google.com/rss/articles/<id> link
+ */
+function googleArticleId(url) {
+  const match = /^https?:\/\/news\.google\.com\/(?:rss\/)?articles\/([^?/#]+)/.exec(url || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Older Google News IDs are a base64 protobuf holding the publisher URL; newer ones
+ * hold an opaque token (AU_yqL...) and return null here
+ */
+function decodeGoogleId(id) {
+  const bytes = Buffer.from(id.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  const start = bytes.indexOf(0x22);
+  if (start < 0 || start > 4) return null;
+
+  // Field 4 is length-prefixed (varint) string
+  let length = 0;
+  let shift = 0;
+  let offset = start + 1;
+  while (offset < bytes.length) {
+    const byte = bytes[offset++];
+    length |= (byte & 0x7f) << shift;
+    if (!(byte & 0x80)) break;
+    shift += 7;
+  }
+
+  const value = bytes.subarray(offset, offset + length).toString('utf8');
+  return /^https?:\/\//.test(value) ? value : null;
+}
+
+/**
+ * Resolve a newer Google News ID through the page's signed batchexecute request
+ */
+async function resolveGoogleIdOnline(id) {
+  const page = await fetchPage(`https://news.google.com/rss/articles/${id}`);
+  const html = page.text;
+
+  // Some pages still carry the target URL directly
+  const direct = /data-n-au="([^"]+)"/.exec(html);
+  if (direct) return plainText(direct[1]);
+
+  const signature = /data-n-a-sg="([^"]+)"/.exec(html);
+  const timestamp = /data-n-a-ts="([^"]+)"/.exec(html);
+  if (!signature || !timestamp) {
+    throw enrichError('UNRESOLVED_GOOGLE_LINK', 'Google News page has no decoding parameters');
+  }
+
+  const request = JSON.stringify([
+    'garturlreq',
+    [['X', 'X', ['X', 'X'], null, null, 1, 1, 'US:en', null, 1, null, null, null, null, null, 0, 1], 'X', 'X', 1, [1, 1, 1], 1, 1, null, 0, 0, null, 0],
+    id,
+    parseInt(timestamp[1]),
+    signature[1]
+  ]);
+  const response = await fetchPage(GOOGLE_BATCH_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+    body: `f.req=${encodeURIComponent(JSON.stringify([[['Fbv4je', request]]]))}`,
+    contentTypes: ['application/json', 'text/plain']
+  });
+
+  try {
+    // Body is ")]}'" then a blank line then the JSON envelope
+    const envelope = JSON.parse(response.text.split('\n\n')[1]);
+    const url = JSON.parse(envelope[0][2])[1];
+    if (/^https?:\/\//.test(url)) return url;
+  } catch (error) {
+    // fall through to the error below
+  }
+  throw enrichError('UNRESOLVED_GOOGLE_LINK', 'Google News did not return a publisher URL');
+}
+
+/**
+ * Publisher URL for an article link (Google News links are decoded; others pass through)
+ */
+async function resolvePublisherUrl(url) {
+  const id = googleArticleId(url);
+  if (!id) return url;
+  return decodeGoogleId(id) || resolveGoogleIdOnline(id);
+}
+
+function attributes(tag) {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(tag))) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3];
+  }
+  return attrs;
+}
+
+/**
+ * <meta> content by property, name or itemprop (first occurrence wins)
+ */
+function metaTags(html) {
+  const meta = {};
+  (html.match(/<meta\s[^>]*>/gi) || []).forEach(tag => {
+    const attrs = attributes(tag);
+    const key = (attrs.property || attrs.name || attrs.itemprop || '').toLowerCase();
+    if (key && attrs.content && !(key in meta)) meta[key] = plainText(attrs.content);
+  });
+  return meta;
+}
+
+function canonicalLink(html) {
+  const tag = (html.match(/<link\s[^>]*>/gi) || []).find(link => /rel=["']canonical["']/i.test(link));
+  return tag ? attributes(tag).href : null;
+}
+
+/**
+ * The schema.org article object from the page's JSON-LD, if any
+ */
+function jsonLdArticle(html) {
+  const pattern = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = pattern.exec(html))) {
+    let data;
+    try {
+      data = JSON.parse(match[1].trim());
+    } catch (error) {
+      continue;
+    }
+
+    const nodes = [data].flat().flatMap(node => (node && node['@graph']) ? node['@graph'] : [node]);
+    const article = nodes.find(node => node && [node['@type']].flat().some(type => ARTICLE_TYPES.includes(type)));
+    if (article) return article;
+  }
+  return null;
+}
+
+/**
+ * Main text from the page's paragraphs, preferring the <article> element
+ */
+function paragraphText(html) {
+  const cleaned = html.replace(/<(script|style|noscript|nav|header|footer|aside|form|figure)\b[\s\S]*?<\/\1>/gi, ' ');
+  const articles = cleaned.match(/<article\b[\s\S]*?<\/article>/gi) || [];
+  const scope = articles.sort((a, b) => b.length - a.length)[0] || cleaned;
+
+  return (scope.match(/<p\b[^>]*>[\s\S]*?<\/p>/gi) || [])
+    .map(paragraph => plainText(paragraph))
+    .filter(text => text.length >= MIN_PARAGRAPH_CHARS)
+    .join('\n\n');
+}
+
+function authorName(author) {
+  const names = [author].flat().filter(Boolean).map(entry => (typeof entry === 'string' ? entry : entry.name)).filter(Boolean);
+  return names.length ? names.join(', ') : null;
+}
+
+function toIsoDate(value) {
+  const time = Date.parse(value);
+  return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Leading sentences of the text, up to about SUMMARY_CHARS
+ */
+function summarize(text) {
+  const sentences = text.split(/(?<=[.!?\u0964])\s+/);
+  let summary = '';
+  for (const sentence of sentences) {
+    if (summary && summary.length + sentence.length > SUMMARY_CHARS) break;
+    summary = summary ? `${summary} ${sentence}` : sentence;
+  }
+  return summary.length > SUMMARY_CHARS ? `${summary.substring(0, SUMMARY_CHARS).trim()}…` : summary;
+}
+
+/**
+ * Pull text, image, author and publish time out of an article page
+ */
+function extractArticle(html, pageUrl) {
+  const meta = metaTags(html);
+  const ld = jsonLdArticle(html) || {};
+
+  const content = (plainText(String(ld.articleBody || '')) || paragraphText(html)).substring(0, MAX_CONTENT_CHARS);
+  const image = [ld.image].flat()[0];
+  const metaAuthor = meta.author || meta['article:author'];
+
+  return {
+    publisher_url: meta['og:url'] || canonicalLink(html) || pageUrl,
+    content,
+    summary: summarize(content),
+    image_url: meta['og:image'] || meta['twitter:image'] || (typeof image === 'string' ? image : image?.url) || null,
+    author: authorName(ld.author) || (metaAuthor && !/^https?:/.test(metaAuthor) ? metaAuthor : null),
+    published_at: toIsoDate(ld.datePublished) || toIsoDate(meta['article:published_time']) ||
+      toIsoDate(meta.datepublished) || toIsoDate(meta.pubdate) || null
+  };
+}
+
+async function fetchEnrichment(url) {
+  try {
+    const publisherUrl = await resolvePublisherUrl(url);
+    const page = await fetchPage(publisherUrl);
+    return { ...extractArticle(page.text, page.url), expires_at: Date.now() + CACHE_TTL_MS };
+  } catch (error) {
+    console.error(`[Enrichment] ${url}:`, error.message);
+    return { error: error.message, code: error.code, expires_at: Date.now() + FAILURE_TTL_MS };
+  }
+}
+
+function cacheResult(key, result) {
+  cache.set(key, { ...result, fetched_at: new Date().toISOString() });
+  trimOldest(cache, MAX_CACHED);
+  saver.schedule();
+}
+
+/**
+ * Enrichment for one article URL, from cache when fresh
+ */
+async function getEnrichment(url) {
+  const key = canonicalUrl(url);
+  const cached = cache.get(key);
+  if (cached && cached.expires_at > Date.now()) return cached;
+
+  if (!pending.has(key)) {
+    pending.set(key, fetchEnrichment(url).then(result => {
+      cacheResult(key, result);
+      pending.delete(key);
+      return cache.get(key);
+    }));
+  }
+  return pending.get(key);
+}
+
+/**
+ * Article with publisher_url, content, summary, author and the page's image and
+ * publish time merged in; failures leave the article as is with enrich_error
+ */
+async function enrichArticle(article) {
+  if (!article.url) return article;
+  const result = await getEnrichment(article.url);
+
+  if (result.error) {
+    return { ...article, enriched: false, enrich_error: result.error };
+  }
+  return {
+    ...article,
+    publisher_url: result.publisher_url,
+    content: result.content,
+    summary: result.summary,
+    author: result.author || article.author || null,
+    image_url: result.image_url || article.image_url || null,
+    published_at: result.published_at || article.published_at,
+    enriched: true
+  };
+}
+
+/**
+ * Enrich the first `limit` articles (default ENRICH_MAX_PER_REQUEST), a few at a time
+ */
+async function enrichArticles(articles, limit = MAX_PER_REQUEST) {
+  const enriched = await mapWithConcurrency(articles.slice(0, limit), CONCURRENCY, enrichArticle);
+  return [...enriched, ...articles.slice(limit)];
+}
+
+module.exports = {
+  enrichArticle,
+  enrichArticles
+};
@@ -0,0 +1,129 @@
+/**
+ * Constituency Registry
+ * All 294 West Bengal assembly constituencies (district, parent Lok Sabha seat,
+ * reservation, Bengali name, search aliases, associated people and landmarks)
+ * loaded from data/constituencies.json
+ */
+
+const path = require('path');
+
+const CONSTITUENCIES = require(path.join(__dirname, 'data', 'constituencies.json'));
+
+const RESERVATIONS = ['GEN', 'SC', 'ST'];
+
+// ID, legacy ID and assembly number -> constituency
+const index = new Map();
+CONSTITUENCIES.forEach(constituency => {
+  index.set(constituency.id, constituency);
+  index.set(String(constituency.number), constituency);
+  (constituency.legacy_ids || []).forEach(id => index.set(id, constituency));
+});
+
+function normalize(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9\u0980-\u09FF]+/g, ' ').trim();
+}
+
+/**
+ * Look up a constituency by ID, legacy ID or assembly number
+ */
+function getConstituency(idOrNumber) {
+  if (idOrNumber === undefined || idOrNumber === null) return null;
+  return index.get(String(idOrNumber).trim().toLowerCase()) || null;
+}
+
+/**
+ * Resolve a free-text constituency (ID, number, English/Bengali name or alias)
+ */
+function findConstituency(value) {
+  const direct = getConstituency(value);
+  if (direct) return direct;
+
+  const wanted = normalize(value);
+  if (!wanted) return null;
+  return CONSTITUENCIES.find(constituency =>
+    [constituency.name, constituency.name_bn, ...constituency.aliases].some(name => normalize(name) === wanted)
+  ) || null;
+}
+
+/**
+ * Compact form embedded in news and heatmap responses
+ */
+function summarize(constituency) {
+  const { id, number, name, name_bn, district, lok_sabha, reservation } = constituency;
+  return { id, number, name, name_bn, district, lok_sabha, reservation };
+}
+
+/**
+ * Names to search news for: the official name first, then aliases,
+ * then associated people and landmarks
+ */
+function searchTerms(constituency) {
+  return [constituency.name, ...constituency.aliases, ...(constituency.keywords || [])];
+}
+
+/**
+ * Filter the registry.
+ * filters: district, lok_sabha, reservation (GEN|SC|ST), q (matches names and aliases)
+ */
+function listConstituencies(filters = {}) {
+  const district = filters.district ? normalize(filters.district) : null;
+  const lokSabha = filters.lok_sabha ? normalize(filters.lok_sabha) : null;
+  const reservation = filters.reservation ? filters.reservation.toUpperCase() : null;
+  const text = filters.q ? normalize(filters.q) : null;
+
+  return CONSTITUENCIES.filter(constituency => {
+    if (district && normalize(constituency.district) !== district) return false;
+    if (lokSabha && normalize(constituency.lok_sabha) !== lokSabha) return false;
+    if (reservation && constituency.reservation !== reservation) return false;
+    if (text) {
+      const names = [constituency.name, constituency.name_bn, ...constituency.aliases].map(normalize);
+      if (!names.some(name => name.includes(text))) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Validate list filters. Returns an error message or null.
+ */
+function validateFilters(filters) {
+  if (filters.reservation && !RESERVATIONS.includes(filters.reservation.toUpperCase())) {
+    return `reservation must be one of ${RESERVATIONS.join(', ')}`;
+  }
+  if (filters.district && !listDistricts().some(d => normalize(d.name) === normalize(filters.district))) {
+    return `Unknown district: ${filters.district}`;
+  }
+  if (filters.lok_sabha && !listLokSabhaSeats().some(seat => normalize(seat.name) === normalize(filters.lok_sabha))) {
+    return `Unknown Lok Sabha constituency: ${filters.lok_sabha}`;
+  }
+  return null;
+}
+
+function groupCounts(field) {
+  const counts = new Map();
+  CONSTITUENCIES.forEach(constituency => {
+    counts.set(constituency[field], (counts.get(constituency[field]) || 0) + 1);
+  });
+  return Array.from(counts.entries()).map(([name, constituencies]) => ({ name, constituencies }));
+}
+
+function listDistricts() {
+  return groupCounts('district');
+}
+
+function listLokSabhaSeats() {
+  return groupCounts('lok_sabha');
+}
+
+module.exports = {
+  CONSTITUENCIES,
+  RESERVATIONS,
+  getConstituency,
+  findConstituency,
+  summarize,
+  searchTerms,
+  listConstituencies,
+  validateFilters,
+  listDistricts,
+  listLokSabhaSeats
+};
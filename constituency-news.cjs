@@ -0,0 +1,302 @@
+/**
+ * Constituency News
+ * Multi-keyword Google News queries for an assembly seat across the English,
+ * Bengali and Hindi editions, merged, deduplicated and scored for relevance to that seat
+ */
+
+const { parseFeed } = require('./feed-parser.cjs');
+const { detectScriptLanguage } = require('./language.cjs');
+const { CONSTITUENCIES, findConstituency } = require('./constituencies.cjs');
+const { clusterArticles } = require('./news-clusters.cjs');
+
+const GOOGLE_NEWS_SEARCH = 'https://news.google.com/rss/search';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+// Covers the whole request, body included, so one hung search cannot stall a collection batch
+const FETCH_TIMEOUT_MS = parseInt(process.env.NEWS_FETCH_TIMEOUT_MS) || 10000;
+
+// Google News editions by language; region is the state's name as that edition's press writes it
+const EDITIONS = {
+  en: { hl: 'en-IN', gl: 'IN', ceid: 'IN:en', region: 'West Bengal' },
+  bn: { hl: 'bn', gl: 'IN', ceid: 'IN:bn', region: 'পশ্চিমবঙ্গ' },
+  hi: { hl: 'hi', gl: 'IN', ceid: 'IN:hi', region: 'पश्चिम बंगाल' }
+};
+
+// Editions searched for every seat (NEWS_EDITIONS=en,bn to drop Hindi, for example)
+const DEFAULT_EDITIONS = (process.env.NEWS_EDITIONS || 'en,bn,hi')
+  .split(',')
+  .map(edition => edition.trim())
+  .filter(edition => EDITIONS[edition]);
+
+// Articles scoring below this are dropped: a seat name in the headline alone (4) is not enough,
+// it needs Bengal context or a locality as well (Sagar, Raipur and Bally are also elsewhere)
+const DEFAULT_MIN_SCORE = parseFloat(process.env.NEWS_RELEVANCE_THRESHOLD) || 5;
+
+// Points per match; titles count double since Google News descriptions mostly repeat the headline
+const WEIGHTS = {
+  placeTitle: 4,
+  placeDescription: 2,
+  keywordTitle: 3,
+  keywordDescription: 1.5,
+  locality: 1,
+  context: 1
+};
+
+const BENGAL_CONTEXT = ['west bengal', 'bengal', 'kolkata', 'calcutta', 'পশ্চিমবঙ্গ', 'কলকাতা', 'पश्चिम बंगाल', 'बंगाल', 'कोलकाता'];
+
+const SORTS = ['relevance', 'recent'];
+
+// Case endings and postpositions that attach directly to a Bengali place name (কলকাতার, হাওড়ায়, বালিতে);
+// য় appears both decomposed and precomposed in feed text
+const BENGALI_SUFFIXES = ['ের', 'র', 'য়', 'য়', 'এ', 'তে', 'কে', 'ে'];
+
+// term -> compiled matcher; tagging runs every seat's terms against every polled article
+const matchers = new Map();
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matcherFor(term) {
+  if (!matchers.has(term)) {
+    // \b does not work for Indic scripts, so bound on the script's letters; Bengali also takes a case suffix
+    let pattern;
+    if (/[\u0980-\u09FF]/.test(term)) {
+      pattern = `(?<![\\u0980-\\u09FF])${escapeRegExp(term)}(?:${BENGALI_SUFFIXES.map(escapeRegExp).join('|')})?(?![\\u0980-\\u09FF])`;
+    } else if (/[\u0900-\u097F]/.test(term)) {
+      pattern = `(?<![\\u0900-\\u097F])${escapeRegExp(term)}(?![\\u0900-\\u097F])`;
+    } else {
+      pattern = `\\b${escapeRegExp(term)}\\b`;
+    }
+    matchers.set(term, new RegExp(pattern, 'i'));
+  }
+  return matchers.get(term);
+}
+
+/**
+ * Whole-word, case-insensitive match
+ */
+function mentions(text, term) {
+  if (!text || !term) return false;
+  return matcherFor(term).test(text);
+}
+
+function quote(term) {
+  return term.includes(' ') ? `"${term}"` : term;
+}
+
+function anyOf(terms) {
+  return terms.length === 1 ? quote(terms[0]) : `(${terms.map(quote).join(' OR ')})`;
+}
+
+/**
+ * Google News queries for a seat, as [{ edition, query }]. English: one OR-query over
+ * its place names and one over its associated people/landmarks when it has any.
+ * Bengali: its Bengali name. Hindi: the place names (the registry has no Hindi
+ * spellings; Google matches the transliteration).
+ */
+function buildQueries(constituency, editions = DEFAULT_EDITIONS) {
+  const places = [constituency.name, ...constituency.aliases];
+  const queries = [];
+
+  if (editions.includes('en')) {
+    queries.push({ edition: 'en', query: `${anyOf(places)} West Bengal` });
+    if ((constituency.keywords || []).length > 0) {
+      queries.push({ edition: 'en', query: `${anyOf(constituency.keywords)} ${quote(constituency.name)}` });
+    }
+  }
+  if (editions.includes('bn') && constituency.name_bn) {
+    queries.push({ edition: 'bn', query: quote(constituency.name_bn) });
+  }
+  if (editions.includes('hi')) {
+    queries.push({ edition: 'hi', query: anyOf(places) });
+  }
+  return queries;
+}
+
+function googleNewsUrl(query, edition = 'en') {
+  const { hl, gl, ceid } = EDITIONS[edition];
+  return `${GOOGLE_NEWS_SEARCH}?q=${encodeURIComponent(query)}&hl=${hl}&gl=${gl}&ceid=${ceid}`;
+}
+
+/**
+ * Google News search feeds for the RSS proxy's ?keyword= or ?constituency= (registry ID,
+ * assembly number or name; unknown values are searched as given), one per edition.
+ * Returns [{ edition, url }]. The Bengali edition searches a known seat by its Bengali name.
+ */
+function searchFeeds({ keyword, constituency }, editions = DEFAULT_EDITIONS) {
+  const match = keyword ? null : findConstituency(constituency);
+
+  return editions.map(edition => {
+    const { region } = EDITIONS[edition];
+    let query;
+    if (keyword) {
+      query = `${keyword} ${region}`;
+    } else {
+      const name = edition === 'bn' && match && match.name_bn ? match.name_bn : (match ? match.name : constituency);
+      query = edition === 'en' ? `${name} West Bengal politics` : `${name} ${region}`;
+    }
+    return { edition, url: googleNewsUrl(query, edition) };
+  });
+}
+
+/**
+ * Language of an article from the script of its headline, falling back to the edition it came from
+ */
+function articleLanguage(title, edition) {
+  const detected = detectScriptLanguage(title);
+  return detected === 'und' ? edition : detected;
+}
+
+/**
+ * Fetch a Google News search feed from an edition and return its items as articles
+ */
+async function fetchGoogleNews(query, edition = 'en') {
+  const response = await fetch(googleNewsUrl(query, edition), {
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`RSS fetch failed: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const feed = await parseFeed(await response.text(), { googleNews: true });
+
+  return feed.items.map(item => ({
+    title: item.title,
+    description: item.description.substring(0, 200),
+    url: item.url,
+    source: item.source,
+    published_at: item.published_at || new Date().toISOString(),
+    language: articleLanguage(item.title, edition),
+    edition
+  }));
+}
+
+/**
+ * Score an article's relevance to a seat. Returns { score, matched }.
+ */
+function scoreArticle(article, constituency) {
+  const title = article.title || '';
+  const description = article.description || '';
+  const text = `${title} ${description}`;
+  const matched = new Set();
+  let score = 0;
+
+  const places = [constituency.name, constituency.name_bn, ...constituency.aliases];
+  const placeInTitle = places.filter(term => mentions(title, term));
+  const placeInDescription = places.filter(term => !placeInTitle.includes(term) && mentions(description, term));
+  if (placeInTitle.length) score += WEIGHTS.placeTitle;
+  else if (placeInDescription.length) score += WEIGHTS.placeDescription;
+  [...placeInTitle, ...placeInDescription].forEach(term => matched.add(term));
+
+  const keywords = constituency.keywords || [];
+  const keywordInTitle = keywords.filter(term => mentions(title, term));
+  const keywordInDescription = keywords.filter(term => !keywordInTitle.includes(term) && mentions(description, term));
+  score += keywordInTitle.length * WEIGHTS.keywordTitle + keywordInDescription.length * WEIGHTS.keywordDescription;
+  [...keywordInTitle, ...keywordInDescription].forEach(term => matched.add(term));
+
+  // Nearby locality names make an ambiguous seat name (Bally, Sagar, Raipur) more believable
+  [constituency.district, constituency.lok_sabha]
+    .filter(term => term !== constituency.name && mentions(text, term))
+    .forEach(term => {
+      score += WEIGHTS.locality;
+      matched.add(term);
+    });
+
+  if (BENGAL_CONTEXT.some(term => mentions(text, term))) {
+    score += WEIGHTS.context;
+  }
+
+  return { score, matched: Array.from(matched) };
+}
+
+/**
+ * Seats an article is about: every constituency it scores at least minScore for,
+ * best first. Returns [{ id, score, matched }].
+ */
+function tagConstituencies(article, minScore = DEFAULT_MIN_SCORE) {
+  return CONSTITUENCIES
+    .map(constituency => ({ id: constituency.id, ...scoreArticle(article, constituency) }))
+    .filter(tag => tag.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .map(({ id, score, matched }) => ({ id, score, matched }));
+}
+
+/**
+ * Sort scored articles in place: by relevance (newest first on ties) or by recency
+ */
+function sortArticles(articles, sort = 'relevance') {
+  const recency = article => new Date(article.published_at).getTime() || 0;
+  if (sort === 'recent') {
+    return articles.sort((a, b) => recency(b) - recency(a));
+  }
+  return articles.sort((a, b) => b.relevance - a.relevance || recency(b) - recency(a));
+}
+
+/**
+ * Search news for a seat across all its keywords and the configured editions.
+ * options: { limit, minScore, sort: 'relevance' | 'recent', editions, extraArticles }
+ * extraArticles (e.g. from polled outlet feeds) are merged with the Google News results.
+ * Copies of one story (same canonical URL or near-identical headline) collapse into the
+ * most relevant copy, with every outlet that ran it in sources.
+ * Returns { articles, queries, fetched, errors }.
+ */
+async function searchConstituencyNews(constituency, options = {}) {
+  const minScore = options.minScore ?? DEFAULT_MIN_SCORE;
+  const queries = buildQueries(constituency, options.editions);
+  const errors = [];
+
+  const results = await Promise.all(queries.map(({ edition, query }) =>
+    fetchGoogleNews(query, edition).catch(error => {
+      errors.push({ edition, query, error: error.message, status: error.status });
+      return [];
+    })
+  ));
+
+  const extraArticles = options.extraArticles || [];
+
+  // Every query failed and there is nothing else to show: surface the error rather than an empty result
+  if (queries.length > 0 && errors.length === queries.length && extraArticles.length === 0) {
+    const error = new Error(errors[0].error);
+    error.status = errors[0].status;
+    throw error;
+  }
+
+  const fetched = [...results.flat(), ...extraArticles];
+
+  const relevant = fetched
+    .map(article => {
+      const { score, matched } = scoreArticle(article, constituency);
+      return { ...article, relevance: score, matched_terms: matched };
+    })
+    .filter(article => article.relevance >= minScore);
+
+  let articles = clusterArticles(relevant).map(story => {
+    const best = story.articles.reduce((a, b) => (b.relevance > a.relevance ? b : a));
+    return { ...best, sources: story.sources, first_seen: story.first_seen };
+  });
+
+  sortArticles(articles, options.sort);
+  if (options.limit) articles = articles.slice(0, options.limit);
+
+  return { articles, queries, fetched: fetched.length, errors };
+}
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  SORTS,
+  EDITIONS,
+  DEFAULT_EDITIONS,
+  buildQueries,
+  googleNewsUrl,
+  searchFeeds,
+  articleLanguage,
+  fetchGoogleNews,
+  scoreArticle,
+  tagConstituencies,
+  sortArticles,
+  searchConstituencyNews
+};
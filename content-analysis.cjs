@@ -0,0 +1,128 @@
+/**
+ * Content Analysis
+ * One analysis for every tweet, news article and transcript line: which parties
+ * and leaders are mentioned (BJP, TMC and the rest), sentiment overall and toward
+ * each of them, the terms that decided it, and the political issues it is about.
+ * Word lists come from data/sentiment-lexicons.json, parties/leaders from
+ * data/political-entities.json and issues from data/issue-categories.json;
+ * SENTIMENT_LEXICON_FILE, POLITICAL_ENTITIES_FILE and ISSUE_CATEGORIES_FILE point
+ * at files of the same shape that are merged over them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createAnalyzer } = require('./sentiment.cjs');
+const { createIssueClassifier } = require('./issue-classifier.cjs');
+
+const DATA_PATH = path.join(__dirname, 'data');
+
+function readConfig(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * A config file from data/, with the file named by envVar (if any) merged over it.
+ * A broken override is logged and ignored so the defaults still load.
+ */
+function loadConfig(name, envVar, merge) {
+  const defaults = readConfig(path.join(DATA_PATH, name));
+  const file = process.env[envVar];
+  if (!file) return defaults;
+
+  try {
+    return merge(defaults, readConfig(file));
+  } catch (error) {
+    console.error(`[Content Analysis] Failed to load ${envVar} (${file}):`, error.message);
+    return defaults;
+  }
+}
+
+// { language: { term: weight } }, extra terms added or reweighted per language
+function mergeLexicons(defaults, extra) {
+  const merged = { ...defaults };
+  Object.entries(extra).forEach(([language, entries]) => {
+    merged[language] = { ...(merged[language] || {}), ...entries };
+  });
+  return merged;
+}
+
+// [{ id, ... }], extra entries replace the default with the same id or are added
+function mergeById(defaults, extra) {
+  const byId = new Map(defaults.map(entity => [entity.id, entity]));
+  extra.forEach(entity => byId.set(entity.id, entity));
+  return Array.from(byId.values());
+}
+
+const lexicons = loadConfig('sentiment-lexicons.json', 'SENTIMENT_LEXICON_FILE', mergeLexicons);
+const entities = loadConfig('political-entities.json', 'POLITICAL_ENTITIES_FILE', mergeById);
+const issueCategories = loadConfig('issue-categories.json', 'ISSUE_CATEGORIES_FILE', mergeById);
+
+const analyzeSentiment = createAnalyzer({ lexicons, entities });
+const classifyIssues = createIssueClassifier(issueCategories);
+
+/**
+ * Party mentions, sentiment and matched terms for a text:
+ * { bjpMention, tmcMention, parties, otherParties, entities, sentiment, sentiment_score,
+ *   sentiment_confidence, sentiment_targets, sentiment_terms, issues }
+ * entities are the resolved party/leader mentions with their spans ({ id, text, start, end });
+ * issues are issue category IDs, best match first.
+ * A leader counts as a mention of their party.
+ */
+function analyzeContent(text) {
+  const result = analyzeSentiment(text || '');
+  const parties = [...new Set(result.targets.map(target => target.party).filter(Boolean))];
+
+  return {
+    bjpMention: parties.includes('bjp'),
+    tmcMention: parties.includes('tmc'),
+    parties,
+    otherParties: parties.filter(party => party !== 'bjp' && party !== 'tmc'),
+    entities: result.entities,
+    sentiment: result.label,
+    sentiment_score: result.score,
+    sentiment_confidence: result.confidence,
+    sentiment_targets: result.targets,
+    sentiment_terms: result.terms,
+    issues: classifyIssues(text || '').map(issue => issue.id)
+  };
+}
+
+function analyzeTweet(tweet) {
+  return { ...tweet, ...analyzeContent(tweet.text) };
+}
+
+/**
+ * Enriched articles are scored on their page text, others on headline and description.
+ * Issues already on the article (classified at collection time) are kept.
+ */
+function analyzeArticle(article) {
+  const text = article.content || [article.title, article.description]
+    .filter((part, index, parts) => part && parts.indexOf(part) === index)
+    .join('. ');
+  const analysis = analyzeContent(text);
+  return { ...article, ...analysis, issues: article.issues?.length ? article.issues : analysis.issues };
+}
+
+/**
+ * The party and leader dictionary in use (defaults plus POLITICAL_ENTITIES_FILE)
+ */
+function getEntities() {
+  return entities;
+}
+
+/**
+ * Issue categories in use ({ id, name, keywords })
+ */
+function getIssueCategories() {
+  return issueCategories;
+}
+
+module.exports = {
+  analyzeSentiment,
+  classifyIssues,
+  analyzeContent,
+  analyzeTweet,
+  analyzeArticle,
+  getEntities,
+  getIssueCategories
+};
@@ -0,0 +1,119 @@
+/**
+ * Entity Mentions
+ * Ranks the parties and leaders mentioned most across archived tweets and stored
+ * news headlines in a time window, with the sentiment toward each
+ */
+
+const { analyzeContent, getEntities } = require('./content-analysis.cjs');
+const { round } = require('./helpers.cjs');
+
+const SOURCES = ['tweets', 'news'];
+const ENTITY_TYPES = ['party', 'leader'];
+const EXAMPLES_PER_ENTITY = 3;
+
+// "source:id" -> analysis; tweets and stored headlines never change, so each is analysed once
+const analyses = new Map();
+const MAX_CACHED_ANALYSES = 50000;
+
+function analysisOf(item) {
+  const key = `${item.source}:${item.id}`;
+  if (!analyses.has(key)) {
+    if (analyses.size >= MAX_CACHED_ANALYSES) analyses.clear();
+    analyses.set(key, analyzeContent(item.text));
+  }
+  return analyses.get(key);
+}
+
+/**
+ * Items to rank from archived tweets and stored articles, as { source, id, text, at }
+ */
+function collectItems({ tweets = [], articles = [] }) {
+  return [
+    ...tweets.map(tweet => ({ source: 'tweets', id: tweet.id, text: tweet.text, at: tweet.created_at || tweet.archived_at })),
+    ...articles.map(article => ({ source: 'news', id: article.id, text: article.title, at: article.first_seen_at }))
+  ];
+}
+
+/**
+ * Count mentions per entity across items.
+ * options: { type, party, limit }
+ */
+function rankEntities(items, options = {}) {
+  const entities = new Map(getEntities().map(entity => [entity.id, entity]));
+  const counts = new Map();
+
+  items.forEach(item => {
+    const analysis = analysisOf(item);
+    analysis.sentiment_targets.forEach(target => {
+      if (!counts.has(target.id)) {
+        counts.set(target.id, {
+          mentions: 0,
+          items: 0,
+          sources: Object.fromEntries(SOURCES.map(source => [source, 0])),
+          scoreTotal: 0,
+          positive: 0,
+          negative: 0,
+          neutral: 0,
+          lastAt: null,
+          examples: []
+        });
+      }
+      const count = counts.get(target.id);
+      count.mentions += target.mentions;
+      count.items++;
+      count.sources[item.source]++;
+      count.scoreTotal += target.score;
+      count[target.label]++;
+      if (!count.lastAt || item.at > count.lastAt) count.lastAt = item.at;
+      if (count.examples.length < EXAMPLES_PER_ENTITY) {
+        count.examples.push({
+          source: item.source,
+          id: item.id,
+          text: item.text,
+          at: item.at,
+          spans: analysis.entities.filter(mention => mention.id === target.id).map(({ start, end }) => ({ start, end }))
+        });
+      }
+    });
+  });
+
+  let ranked = Array.from(counts.entries()).map(([id, count]) => {
+    const entity = entities.get(id) || { id, name: id };
+    const score = count.scoreTotal / count.items;
+    return {
+      id,
+      name: entity.name,
+      type: entity.type,
+      party: entity.party || (entity.type === 'party' ? entity.id : null),
+      mentions: count.mentions,
+      items: count.items,
+      sources: count.sources,
+      sentiment: {
+        score: round(score, 3),
+        label: score > 0.05 ? 'positive' : score < -0.05 ? 'negative' : 'neutral',
+        positive: count.positive,
+        negative: count.negative,
+        neutral: count.neutral
+      },
+      last_mentioned_at: count.lastAt,
+      examples: count.examples
+    };
+  });
+
+  if (options.type) ranked = ranked.filter(entity => entity.type === options.type);
+  if (options.party) ranked = ranked.filter(entity => entity.party === options.party);
+  ranked.sort((a, b) => b.mentions - a.mentions || b.items - a.items);
+
+  return {
+    analyzed: Object.fromEntries(SOURCES.map(source => [source, items.filter(item => item.source === source).length])),
+    total: ranked.length,
+    data: options.limit ? ranked.slice(0, options.limit) : ranked
+  };
+}
+
+module.exports = {
+  SOURCES,
+  ENTITY_TYPES,
+  collectItems,
+  rankEntities
+};
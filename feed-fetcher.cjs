@@ -0,0 +1,360 @@
+/**
+ * Feed Fetcher
+ * SSRF-safe fetching for the RSS proxy: host allowlist, private-address blocking
+ * at connect time (so DNS rebinding and redirects are covered), size and time
+ * limits, and feed content-type checks. Article pages for enrichment use the same
+ * rules except the host allowlist.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Hosts the proxy may fetch from. "*.example.com" also matches subdomains.
+const DEFAULT_ALLOWED_HOSTS = [
+  'news.google.com',
+  '*.anandabazar.com',
+  '*.bartamanpatrika.com',
+  '*.sangbadpratidin.in',
+  '*.eisamay.com',
+  '*.telegraphindia.com',
+  '*.thehindu.com',
+  '*.indianexpress.com',
+  '*.timesofindia.indiatimes.com',
+  '*.hindustantimes.com',
+  '*.ndtv.com',
+  '*.indiatoday.in',
+  '*.news18.com',
+  '*.abplive.com',
+  '*.livemint.com',
+  '*.thestatesman.com',
+  '*.millenniumpost.in'
+];
+
+const ALLOWED_HOSTS = (process.env.RSS_PROXY_ALLOWED_HOSTS
+  ? process.env.RSS_PROXY_ALLOWED_HOSTS.split(',')
+  : DEFAULT_ALLOWED_HOSTS
+).map(host => host.trim().toLowerCase()).filter(Boolean);
+
+const MAX_BYTES = parseInt(process.env.RSS_PROXY_MAX_BYTES) || 2 * 1024 * 1024;
+const TIMEOUT_MS = parseInt(process.env.RSS_PROXY_TIMEOUT_MS) || 10000;
+const MAX_REDIRECTS = 3;
+
+// Article pages are heavier than feeds and more often sit behind a redirect chain
+const PAGE_MAX_BYTES = parseInt(process.env.ARTICLE_FETCH_MAX_BYTES) || 3 * 1024 * 1024;
+const PAGE_MAX_REDIRECTS = 5;
+const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+const FEED_CONTENT_TYPES = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/rdf+xml',
+  'application/xml',
+  'text/xml'
+];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// code -> HTTP status the proxy answers with
+const ERROR_STATUS = {
+  INVALID_URL: 400,
+  UNSUPPORTED_PROTOCOL: 400,
+  PORT_NOT_ALLOWED: 403,
+  HOST_NOT_ALLOWED: 403,
+  BLOCKED_ADDRESS: 403,
+  TOO_MANY_REDIRECTS: 502,
+  UPSTREAM_ERROR: 502,
+  RESPONSE_TOO_LARGE: 502,
+  UNSUPPORTED_CONTENT_TYPE: 502,
+  TIMEOUT: 504
+};
+
+/**
+ * Error carrying a stable .code and the .status to answer with
+ */
+function feedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = ERROR_STATUS[code];
+  return error;
+}
+
+/**
+ * The eight 16-bit groups of an IPv6 address (zone dropped, a dotted IPv4 tail converted)
+ */
+function ipv6Groups(address) {
+  let lower = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = lower.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    lower = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = lower.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Loopback, private, link-local, CGNAT, multicast and reserved ranges (IPv4 and IPv6)
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 192 && b === 0) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224;
+  }
+
+  if (net.isIPv6(address)) {
+    const groups = ipv6Groups(address);
+    const zeroUpTo = count => groups.slice(0, count).every(group => group === 0);
+
+    // IPv4-mapped (::ffff:0:0/96, however it is written) is never a legitimate upstream
+    if (zeroUpTo(5) && groups[5] === 0xffff) return true;
+    // IPv4-compatible (::7f00:1, also :: and ::1) and NAT64 (64:ff9b::/96) take the IPv4 rules
+    if (zeroUpTo(6) || (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0))) {
+      const ipv4 = [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+      return isPrivateAddress(ipv4);
+    }
+    return (groups[0] & 0xfe00) === 0xfc00 ||
+      (groups[0] & 0xffc0) === 0xfe80 ||
+      (groups[0] & 0xff00) === 0xff00;
+  }
+
+  return true;
+}
+
+function isAllowedHost(hostname) {
+  const host = hostname.toLowerCase();
+  return ALLOWED_HOSTS.some(entry => {
+    if (entry.startsWith('*.')) {
+      const domain = entry.slice(2);
+      return host === domain || host.endsWith(`.${domain}`);
+    }
+    return host === entry;
+  });
+}
+
+/**
+ * DNS lookup used for every connection; refuses to hand out private addresses
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(feedError('BLOCKED_ADDRESS', `${hostname} resolves to a blocked address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Parse and check a URL against protocol, port and (when checkHost) allowlist rules
+ */
+function validateUrl(value, base, checkHost = true) {
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch (error) {
+    throw feedError('INVALID_URL', `Invalid URL: ${value}`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw feedError('UNSUPPORTED_PROTOCOL', `Only http and https URLs are allowed (got ${url.protocol})`);
+  }
+  if (url.port && url.port !== '80' && url.port !== '443') {
+    throw feedError('PORT_NOT_ALLOWED', `Port ${url.port} is not allowed`);
+  }
+  if (url.username || url.password) {
+    throw feedError('INVALID_URL', 'URLs with credentials are not allowed');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw feedError('BLOCKED_ADDRESS', `${hostname} is a blocked address`);
+  }
+  if (checkHost && !isAllowedHost(hostname)) {
+    throw feedError('HOST_NOT_ALLOWED', `Host not in the RSS proxy allowlist: ${hostname}`);
+  }
+
+  return url;
+}
+
+/**
+ * One request with the byte cap applied; redirects are returned, not followed
+ */
+function requestOnce(url, deadline, options) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return reject(feedError('TIMEOUT', `Fetch timed out after ${options.timeoutMs}ms`));
+    }
+    const maxBytes = options.maxBytes;
+
+    const req = client.request(url, {
+      method: options.method || 'GET',
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': options.accept,
+        ...(options.body ? { 'Content-Length': Buffer.byteLength(options.body) } : {}),
+        ...options.headers
+      },
+      lookup: safeLookup
+    }, res => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        return resolve({ redirect: res.headers.location, status: res.statusCode });
+      }
+
+      const declared = parseInt(res.headers['content-length']);
+      if (declared > maxBytes) {
+        res.destroy();
+        return reject(feedError('RESPONSE_TOO_LARGE', `Response is ${declared} bytes (limit ${maxBytes})`));
+      }
+
+      const chunks = [];
+      let bytes = 0;
+      res.on('data', chunk => {
+        bytes += chunk.length;
+        if (bytes > maxBytes) {
+          req.destroy(feedError('RESPONSE_TOO_LARGE', `Response exceeds ${maxBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        contentType: res.headers['content-type'] || '',
+        body: Buffer.concat(chunks),
+        bytes
+      }));
+      res.on('error', reject);
+    });
+
+    const timer = setTimeout(() => {
+      req.destroy(feedError('TIMEOUT', `Fetch timed out after ${options.timeoutMs}ms`));
+    }, remaining);
+
+    req.on('error', error => reject(error.code && ERROR_STATUS[error.code] ? error : feedError('UPSTREAM_ERROR', error.message)));
+    req.on('close', () => clearTimeout(timer));
+    req.end(options.body);
+  });
+}
+
+/**
+ * Feed content types, or untyped bodies that look like XML
+ */
+function isFeedResponse(contentType, body) {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (FEED_CONTENT_TYPES.includes(type)) return true;
+  if (!type || type === 'text/plain' || type === 'application/octet-stream') {
+    return /^\s*(<\?xml|<rss|<feed|<rdf:RDF)/i.test(body.subarray(0, 512).toString('utf8'));
+  }
+  return false;
+}
+
+/**
+ * Fetch a URL, following and revalidating redirects.
+ * options: { checkHost, accept, isAcceptable(contentType, body), maxBytes, maxRedirects, timeoutMs, method, headers, body }
+ */
+async function fetchSafely(value, options) {
+  const deadline = Date.now() + options.timeoutMs;
+  let url = validateUrl(value, undefined, options.checkHost);
+  let request = options;
+  let redirects = 0;
+
+  for (;;) {
+    const response = await requestOnce(url, deadline, request);
+
+    if (response.redirect) {
+      if (++redirects > options.maxRedirects) {
+        throw feedError('TOO_MANY_REDIRECTS', `More than ${options.maxRedirects} redirects`);
+      }
+      // Every hop is held to the same rules as the original URL; a redirected POST becomes a GET
+      url = validateUrl(response.redirect, url, options.checkHost);
+      request = { ...options, method: 'GET', body: undefined };
+      continue;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      const error = feedError('UPSTREAM_ERROR', `Fetch failed: ${response.status}`);
+      error.upstreamStatus = response.status;
+      throw error;
+    }
+
+    if (!options.isAcceptable(response.contentType, response.body)) {
+      throw feedError('UNSUPPORTED_CONTENT_TYPE', `Unexpected content-type: ${response.contentType || 'none'}`);
+    }
+
+    return {
+      url: url.toString(),
+      status: response.status,
+      contentType: response.contentType,
+      text: response.body.toString('utf8'),
+      bytes: response.bytes,
+      redirects
+    };
+  }
+}
+
+/**
+ * Fetch a feed URL within the proxy's safety limits.
+ * Returns { url, status, contentType, text, bytes, redirects }; throws errors with .code and .status.
+ */
+function fetchFeed(value) {
+  return fetchSafely(value, {
+    checkHost: true,
+    accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9',
+    isAcceptable: isFeedResponse,
+    maxBytes: MAX_BYTES,
+    maxRedirects: MAX_REDIRECTS,
+    timeoutMs: TIMEOUT_MS
+  });
+}
+
+/**
+ * Fetch a publisher's article page. Google News links lead to thousands of outlets,
+ * so any public host is allowed; private addresses, ports and limits still apply.
+ * options: { method, headers, body, contentTypes, maxRedirects, timeoutMs }
+ * (contentTypes defaults to HTML; null accepts any response)
+ */
+function fetchPage(value, options = {}) {
+  const contentTypes = options.contentTypes === undefined ? PAGE_CONTENT_TYPES : options.contentTypes;
+  return fetchSafely(value, {
+    checkHost: false,
+    accept: contentTypes ? contentTypes.join(', ') : '*/*',
+    isAcceptable: contentType => !contentTypes || contentTypes.includes(contentType.split(';')[0].trim().toLowerCase()),
+    maxBytes: PAGE_MAX_BYTES,
+    maxRedirects: options.maxRedirects ?? PAGE_MAX_REDIRECTS,
+    timeoutMs: options.timeoutMs || TIMEOUT_MS,
+    method: options.method,
+    headers: options.headers,
+    body: options.body
+  });
+}
+
+function getFeedFetchConfig() {
+  return { allowedHosts: ALLOWED_HOSTS, maxBytes: MAX_BYTES, timeoutMs: TIMEOUT_MS, maxRedirects: MAX_REDIRECTS };
+}
+
+module.exports = {
+  fetchFeed,
+  fetchPage,
+  isAllowedHost,
+  isPrivateAddress,
+  getFeedFetchConfig
+};
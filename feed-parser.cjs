@@ -0,0 +1,173 @@
+/**
+ * Feed Parser
+ * Normalises RSS 2.0, Atom and RSS 1.0 (RDF) feeds into one article shape
+ */
+
+const { parseStringPromise } = require('xml2js');
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Text content of an xml2js node (plain string, { _: text, $: attrs } or the first of several)
+ */
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (Array.isArray(node)) return text(node[0]);
+  if (typeof node === 'object') return typeof node._ === 'string' ? node._.trim() : '';
+  return String(node).trim();
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match);
+}
+
+/**
+ * Strip tags and entities from an HTML fragment
+ */
+function plainText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return isNaN(time) ? value : new Date(time).toISOString();
+}
+
+/**
+ * First image URL from media:content/media:thumbnail/enclosure, or an <img> in the HTML
+ */
+function findImage(item, html) {
+  const candidates = [
+    ...asArray(item['media:content']),
+    ...asArray(item['media:thumbnail']),
+    ...asArray(item.enclosure).filter(enclosure => (enclosure.$?.type || '').startsWith('image/'))
+  ];
+  const fromMedia = candidates.map(node => node?.$?.url).find(Boolean);
+  if (fromMedia) return fromMedia;
+
+  const img = /<img[^>]+src=["']([^"']+)["']/i.exec(html || '');
+  return img ? img[1] : null;
+}
+
+/**
+ * Split a Google News style "Headline - Source" title when the source is known or implied
+ */
+function splitSourceSuffix(title, source, splitUnknown) {
+  if (source && title.endsWith(` - ${source}`)) {
+    return { title: title.slice(0, -(source.length + 3)), source };
+  }
+  if (splitUnknown) {
+    const parts = title.split(' - ');
+    if (parts.length > 1) {
+      const suffix = parts.pop();
+      return { title: parts.join(' - '), source: suffix };
+    }
+  }
+  return { title, source };
+}
+
+function rssItem(item, feed) {
+  const html = text(item['content:encoded']) || text(item.description);
+  const itemSource = text(item.source);
+  const split = splitSourceSuffix(decodeEntities(text(item.title)), itemSource || feed.source, feed.isGoogleNews);
+
+  return {
+    title: split.title,
+    description: plainText(html),
+    url: text(item.link) || text(item.guid),
+    source: split.source || feed.source,
+    published_at: toIsoDate(text(item.pubDate) || text(item['dc:date'])),
+    author: text(item['dc:creator']) || text(item.author) || null,
+    categories: asArray(item.category).map(text).filter(Boolean),
+    image_url: findImage(item, html),
+    guid: text(item.guid) || null
+  };
+}
+
+function atomLink(links) {
+  const all = asArray(links);
+  const alternate = all.find(link => !link.$?.rel || link.$.rel === 'alternate');
+  return (alternate || all[0])?.$?.href || '';
+}
+
+function atomItem(entry, feed) {
+  const html = text(entry.content) || text(entry.summary);
+  const split = splitSourceSuffix(decodeEntities(text(entry.title)), feed.source, false);
+
+  return {
+    title: split.title,
+    description: plainText(html),
+    url: atomLink(entry.link),
+    source: split.source || feed.source,
+    published_at: toIsoDate(text(entry.published) || text(entry.updated)),
+    author: text(asArray(entry.author)[0]?.name) || null,
+    categories: asArray(entry.category).map(category => category?.$?.term).filter(Boolean),
+    image_url: findImage(entry, html),
+    guid: text(entry.id) || null
+  };
+}
+
+/**
+ * Parse feed XML. options.sourceName overrides the feed title as the article source;
+ * options.googleNews marks a Google News feed when the caller already knows it is one.
+ * Returns { format: 'rss' | 'atom' | 'rdf', title, link, items }; throws when the XML is not a feed.
+ */
+async function parseFeed(xmlText, options = {}) {
+  const result = await parseStringPromise(xmlText, { explicitArray: false, trim: true });
+
+  if (result.rss) {
+    const channel = result.rss.channel || {};
+    const link = text(channel.link);
+    const isGoogleNews = !!options.googleNews || /news\.google\.com/.test(link) || /Google News/i.test(text(channel.title));
+    const feed = {
+      // Google News search feeds are titled after the query, not a publication
+      source: options.sourceName || (isGoogleNews ? 'Google News' : decodeEntities(text(channel.title))),
+      isGoogleNews
+    };
+    return {
+      format: 'rss',
+      title: text(channel.title),
+      link,
+      items: asArray(channel.item).map(item => rssItem(item, feed))
+    };
+  }
+
+  if (result.feed) {
+    const feed = { source: options.sourceName || decodeEntities(text(result.feed.title)) };
+    return {
+      format: 'atom',
+      title: text(result.feed.title),
+      link: atomLink(result.feed.link),
+      items: asArray(result.feed.entry).map(entry => atomItem(entry, feed))
+    };
+  }
+
+  // RSS 1.0 keeps items alongside the channel rather than inside it
+  const rdf = result['rdf:RDF'] || result.RDF;
+  if (rdf) {
+    const channel = rdf.channel || {};
+    const feed = { source: options.sourceName || decodeEntities(text(channel.title)), isGoogleNews: false };
+    return {
+      format: 'rdf',
+      title: text(channel.title),
+      link: text(channel.link),
+      items: asArray(rdf.item).map(item => rssItem(item, feed))
+    };
+  }
+
+  throw new Error(`Unrecognised feed format (root element: ${Object.keys(result)[0]})`);
+}
+
+module.exports = {
+  parseFeed,
+  plainText
+};
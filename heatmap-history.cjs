@@ -0,0 +1,160 @@
+/**
+ * Heatmap History
+ * Persists each computed constituency heatmap (distinct stories, sentiment,
+ * headlines) as per-seat time series, for playback, state-wide snapshots at a
+ * point in time and day-over-day / week-over-week deltas
+ */
+
+const { readJson, createSaver } = require('./json-store.cjs');
+const { round } = require('./helpers.cjs');
+
+const HISTORY_FILE = 'heatmap-history.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One point per seat per interval; a later run in the same interval replaces it
+const SNAPSHOT_INTERVAL_MS = (parseInt(process.env.HEATMAP_SNAPSHOT_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.HEATMAP_HISTORY_DAYS) || 30;
+// Points older than this are thinned to the last of each day and lose their headlines
+const DETAIL_DAYS = 7;
+// A seat is heating up when its distinct story count rose by at least this much
+const HEATING_MIN_DELTA = parseInt(process.env.HEATMAP_HEATING_MIN_DELTA) || 2;
+
+const COMPARISONS = { day: DAY_MS, week: 7 * DAY_MS };
+
+// Constituency ID -> points, oldest first
+const series = new Map(Object.entries(readJson(HISTORY_FILE, {})));
+
+const saver = createSaver(HISTORY_FILE, () => Object.fromEntries(series), 5000);
+
+/**
+ * Drop points past retention and thin the ones older than DETAIL_DAYS to one per day
+ */
+function compact(points, now) {
+  const retentionCutoff = now - RETENTION_DAYS * DAY_MS;
+  const detailCutoff = now - DETAIL_DAYS * DAY_MS;
+  const daily = new Map();
+  const recent = [];
+
+  points.forEach(point => {
+    const time = Date.parse(point.at);
+    if (time < retentionCutoff) return;
+    if (time >= detailCutoff) {
+      recent.push(point);
+      return;
+    }
+    const { top_headlines, ...summary } = point;
+    daily.set(point.at.slice(0, 10), summary);
+  });
+
+  return [...daily.values(), ...recent];
+}
+
+/**
+ * Record one heatmap computation (the per-seat rows of /api/news/all-constituencies)
+ */
+function recordSnapshot(seats, takenAt = new Date()) {
+  const now = takenAt.getTime();
+  const at = takenAt.toISOString();
+
+  seats.forEach(seat => {
+    const point = {
+      at,
+      news_count: seat.news_count,
+      state_story_count: seat.state_story_count,
+      article_count: seat.article_count,
+      sentiment_score: seat.sentiment_score,
+      sentiment_label: seat.sentiment_label,
+      top_headlines: seat.top_headlines
+    };
+
+    const points = series.get(seat.constituency_id) || [];
+    const last = points[points.length - 1];
+    if (last && Math.floor(Date.parse(last.at) / SNAPSHOT_INTERVAL_MS) === Math.floor(now / SNAPSHOT_INTERVAL_MS)) {
+      points[points.length - 1] = point;
+    } else {
+      points.push(point);
+    }
+    series.set(seat.constituency_id, compact(points, now));
+  });
+
+  saver.schedule();
+}
+
+/**
+ * Latest point at or before a time
+ */
+function pointAt(points, time) {
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (Date.parse(points[i].at) <= time) return points[i];
+  }
+  return null;
+}
+
+/**
+ * A seat's points within [from, to] (epoch ms)
+ */
+function getSeries(constituencyId, { from, to }) {
+  return (series.get(constituencyId) || []).filter(point => {
+    const time = Date.parse(point.at);
+    return time >= from && time <= to;
+  });
+}
+
+/**
+ * Each seat's state as of a time. Seats with no point by then are left out.
+ * Returns { constituency ID -> point }.
+ */
+function getSnapshot(constituencyIds, time) {
+  const snapshot = {};
+  constituencyIds.forEach(id => {
+    const point = pointAt(series.get(id) || [], time);
+    if (point) snapshot[id] = point;
+  });
+  return snapshot;
+}
+
+/**
+ * Change in distinct stories and sentiment between a seat's latest point and its
+ * point one day / one week earlier. Returns { constituency ID -> deltas }.
+ */
+function getDeltas(constituencyIds, compare = 'day') {
+  const deltas = {};
+
+  constituencyIds.forEach(id => {
+    const points = series.get(id) || [];
+    const current = points[points.length - 1];
+    if (!current) return;
+
+    const currentTime = Date.parse(current.at);
+    const changes = {};
+    Object.entries(COMPARISONS).forEach(([name, span]) => {
+      const previous = pointAt(points, currentTime - span);
+      changes[name] = previous
+        ? {
+          previous_at: previous.at,
+          news_count: current.news_count - previous.news_count,
+          sentiment_score: round(current.sentiment_score - previous.sentiment_score)
+        }
+        : null;
+    });
+
+    deltas[id] = {
+      as_of: current.at,
+      news_count: current.news_count,
+      sentiment_score: current.sentiment_score,
+      sentiment_label: current.sentiment_label,
+      ...changes,
+      heating_up: !!changes[compare] && changes[compare].news_count >= HEATING_MIN_DELTA
+    };
+  });
+
+  return deltas;
+}
+
+module.exports = {
+  COMPARISONS,
+  recordSnapshot,
+  getSeries,
+  getSnapshot,
+  getDeltas
+};
@@ -0,0 +1,59 @@
+/**
+ * Shared Helpers
+ * Small utilities used across the stores, collectors and analysers: rounding,
+ * ID slugs, tweet engagement, size-capped caches and bounded concurrency
+ */
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Lowercase ID from a name ("Anandabazar Patrika" -> "anandabazar-patrika")
+ */
+function slugify(value) {
+  return String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Likes + retweets + replies + quotes from a tweet's public_metrics
+ */
+function engagementOf(metrics = {}) {
+  return (metrics.like_count || 0) + (metrics.retweet_count || 0) + (metrics.reply_count || 0) + (metrics.quote_count || 0);
+}
+
+/**
+ * Drop the oldest entries of a cache Map beyond max. A Map keeps insertion order,
+ * so the first keys are the oldest.
+ */
+function trimOldest(map, max) {
+  while (map.size > max) map.delete(map.keys().next().value);
+}
+
+/**
+ * fn(item, index) over items with at most `concurrency` calls in flight.
+ * Resolves to the results in the order of items.
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+module.exports = {
+  round,
+  slugify,
+  engagementOf,
+  trimOldest,
+  mapWithConcurrency
+};
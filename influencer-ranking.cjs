@@ -0,0 +1,172 @@
+/**
+ * Influencer Ranking
+ * Ranks the authors talking about a monitoring profile's hashtags, keywords and
+ * accounts by reach, engagement, volume and stance towards the profile's party
+ */
+
+const { analyzeSentiment } = require('./content-analysis.cjs');
+const { round, engagementOf } = require('./helpers.cjs');
+
+const SORT_KEYS = ['influence', 'reach', 'engagement', 'volume'];
+const STANCES = ['pro', 'anti', 'neutral'];
+
+// Party for profiles saved before profiles named one
+const DEFAULT_PARTY = 'bjp';
+
+// Weights of the normalised dimensions in the combined influence score
+const INFLUENCE_WEIGHTS = { reach: 0.4, engagement: 0.4, volume: 0.2 };
+
+/**
+ * Build a matcher for tweets about a profile: its hashtags, keywords (any language)
+ * or @mentions of its accounts
+ */
+function profileMatcher(profile) {
+  const hashtags = (profile.hashtags || []).map(tag => tag.replace(/^#/, '').toLowerCase());
+  const keywords = [
+    ...(profile.keywords || []),
+    ...Object.values(profile.localizedKeywords || {}).flat()
+  ].map(keyword => keyword.toLowerCase());
+  const accounts = (profile.accounts || []).map(account => account.toLowerCase());
+
+  return tweet => {
+    if ((tweet.hashtags || []).some(tag => hashtags.includes(tag))) return true;
+    const mentions = (tweet.entities?.mentions || []).map(mention => mention.username.toLowerCase());
+    if (mentions.some(name => accounts.includes(name))) return true;
+    const text = (tweet.text || '').toLowerCase();
+    return keywords.some(keyword => text.includes(keyword));
+  };
+}
+
+/**
+ * Sentiment of a tweet towards a party: the mention-weighted score of the party and its
+ * leaders among the analysis targets, or 0 (neutral) when none of them is mentioned
+ */
+function partyScoreOf(sentiment, party) {
+  const targets = sentiment.targets.filter(target => target.party === party);
+  const mentions = targets.reduce((sum, target) => sum + target.mentions, 0);
+  if (mentions === 0) return 0;
+  return targets.reduce((sum, target) => sum + target.score * target.mentions, 0) / mentions;
+}
+
+/**
+ * Stance of an author from the average party sentiment of their matching tweets
+ */
+function stanceOf(score) {
+  if (score > 0.1) return 'pro';
+  if (score < -0.1) return 'anti';
+  return 'neutral';
+}
+
+/**
+ * Rank authors of matching tweets.
+ * tweets are archived tweets, getUser(id) returns the archived user object.
+ * options: { sort, stance, minTweets, limit, includeOwn }
+ */
+function rankAuthors(profile, tweets, getUser, options = {}) {
+  const matches = profileMatcher(profile);
+  const party = profile.party || DEFAULT_PARTY;
+  const ownAccounts = (profile.accounts || []).map(account => account.toLowerCase());
+  const authors = new Map();
+  let matched = 0;
+
+  tweets.forEach(tweet => {
+    if (!tweet.author_id || !matches(tweet)) return;
+    matched++;
+
+    if (!authors.has(tweet.author_id)) {
+      authors.set(tweet.author_id, {
+        tweets: 0,
+        engagement: 0,
+        impressions: 0,
+        sentimentTotal: 0,
+        pro: 0,
+        anti: 0,
+        neutral: 0,
+        top: null,
+        lastTweetAt: null
+      });
+    }
+
+    const author = authors.get(tweet.author_id);
+    const engagement = engagementOf(tweet.public_metrics);
+    const partyScore = partyScoreOf(analyzeSentiment(tweet.text || ''), party);
+    const stance = stanceOf(partyScore);
+
+    author.tweets++;
+    author.engagement += engagement;
+    author.impressions += tweet.public_metrics?.impression_count || 0;
+    author.sentimentTotal += partyScore;
+    author[stance]++;
+    if (!author.top || engagement > author.top.engagement) {
+      author.top = { id: tweet.id, text: tweet.text, created_at: tweet.created_at, engagement };
+    }
+    if (!author.lastTweetAt || tweet.created_at > author.lastTweetAt) {
+      author.lastTweetAt = tweet.created_at;
+    }
+  });
+
+  let ranked = Array.from(authors.entries()).map(([id, author]) => {
+    const user = getUser(id);
+    const score = author.sentimentTotal / author.tweets;
+    return {
+      user: user
+        ? { id, username: user.username, name: user.name, profile_image_url: user.profile_image_url, verified: user.verified }
+        : { id },
+      own_account: !!user && ownAccounts.includes((user.username || '').toLowerCase()),
+      reach: user?.public_metrics?.followers_count || 0,
+      volume: author.tweets,
+      engagement: author.engagement,
+      engagement_per_tweet: round(author.engagement / author.tweets),
+      impressions: author.impressions,
+      stance: {
+        label: stanceOf(score),
+        score: round(score),
+        pro: author.pro,
+        anti: author.anti,
+        neutral: author.neutral
+      },
+      top_tweet: author.top,
+      last_tweet_at: author.lastTweetAt
+    };
+  });
+
+  if (!options.includeOwn) ranked = ranked.filter(author => !author.own_account);
+  if (options.minTweets) ranked = ranked.filter(author => author.volume >= options.minTweets);
+
+  // Log-scale reach and engagement so a few mega-accounts don't flatten everyone else
+  const max = {
+    reach: Math.max(1, ...ranked.map(author => Math.log10(author.reach + 1))),
+    engagement: Math.max(1, ...ranked.map(author => Math.log10(author.engagement + 1))),
+    volume: Math.max(1, ...ranked.map(author => author.volume))
+  };
+  ranked.forEach(author => {
+    author.influence = round(100 * (
+      INFLUENCE_WEIGHTS.reach * Math.log10(author.reach + 1) / max.reach +
+      INFLUENCE_WEIGHTS.engagement * Math.log10(author.engagement + 1) / max.engagement +
+      INFLUENCE_WEIGHTS.volume * author.volume / max.volume
+    ), 1);
+  });
+
+  const stanceCounts = { pro: 0, anti: 0, neutral: 0 };
+  ranked.forEach(author => stanceCounts[author.stance.label]++);
+
+  if (options.stance) ranked = ranked.filter(author => author.stance.label === options.stance);
+
+  const sort = options.sort || 'influence';
+  ranked.sort((a, b) => b[sort] - a[sort] || b.influence - a.influence);
+
+  const total = ranked.length;
+  return {
+    party,
+    total,
+    matchedTweets: matched,
+    stances: stanceCounts,
+    data: ranked.slice(0, options.limit || 25)
+  };
+}
+
+module.exports = {
+  SORT_KEYS,
+  STANCES,
+  rankAuthors
+};
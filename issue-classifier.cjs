@@ -0,0 +1,69 @@
+/**
+ * Issue Classifier
+ * Tags text with the political issues it is about (law and order, jobs, corruption,
+ * welfare schemes, ...) from per-category keyword lists in English, Bengali and Hindi.
+ * Categories are passed in; content-analysis.cjs loads them from config.
+ */
+
+const { tokenize, baseForms } = require('./sentiment.cjs');
+
+/**
+ * Compile categories ({ id, name, keywords: { language: [term] }, minHits? }). Terms
+ * ending in * match any word starting with them; terms of several words are phrases.
+ */
+function compileCategories(categories) {
+  return categories.map(category => {
+    const words = new Set();
+    const prefixes = [];
+    const phrases = [];
+
+    Object.values(category.keywords || {}).flat().forEach(rawTerm => {
+      const term = rawTerm.normalize('NFC').toLowerCase();
+      const parts = tokenize(term.replace(/\*$/, '')).map(token => token.word);
+      if (parts.length > 1) phrases.push(` ${parts.join(' ')} `);
+      else if (parts.length === 1 && term.endsWith('*')) prefixes.push(parts[0]);
+      else if (parts.length === 1) words.add(parts[0]);
+    });
+
+    return { id: category.id, name: category.name, minHits: category.minHits || 1, words, prefixes, phrases };
+  });
+}
+
+/**
+ * Build a classifier from categories.
+ * Returns classify(text) -> [{ id, name, hits, terms }], most hits first
+ */
+function createIssueClassifier(categories) {
+  const compiled = compileCategories(categories);
+
+  return function classify(text) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return [];
+    const forms = tokens.map(baseForms);
+    const joined = ` ${tokens.map(token => token.word).join(' ')} `;
+
+    return compiled.map(category => {
+      const terms = new Set();
+      forms.forEach(tokenForms => {
+        const word = tokenForms.find(form => category.words.has(form));
+        if (word) {
+          terms.add(word);
+          return;
+        }
+        const prefix = category.prefixes.find(start => tokenForms.some(form => form.startsWith(start)));
+        if (prefix) terms.add(`${prefix}*`);
+      });
+      category.phrases.forEach(phrase => {
+        if (joined.includes(phrase)) terms.add(phrase.trim());
+      });
+      return { id: category.id, name: category.name, hits: terms.size, terms: Array.from(terms), minHits: category.minHits };
+    })
+      .filter(issue => issue.hits >= issue.minHits)
+      .sort((a, b) => b.hits - a.hits)
+      .map(({ minHits, ...issue }) => issue);
+  };
+}
+
+module.exports = {
+  createIssueClassifier
+};
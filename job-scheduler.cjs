@@ -0,0 +1,254 @@
+/**
+ * Background Job Scheduler
+ * Runs the collectors (constituency news, outlet feeds, tweet archive, account
+ * snapshots) on jittered intervals under a shared concurrency limit, retries
+ * failed runs with backoff and keeps a history of every run
+ */
+
+const { readJson, createSaver } = require('./json-store.cjs');
+
+const RUNS_FILE = 'job-runs.json';
+// Jobs running at once; the rest wait for a free slot
+const MAX_CONCURRENT_JOBS = parseInt(process.env.SCHEDULER_CONCURRENCY) || 2;
+const MAX_RUNS_PER_JOB = parseInt(process.env.SCHEDULER_RUN_HISTORY) || 50;
+const RUN_STATUSES = ['success', 'skipped', 'failed'];
+
+const DEFAULTS = {
+  initialDelayMs: 10 * 1000,
+  // Each interval is stretched or shrunk by up to this fraction so jobs drift apart
+  jitter: 0.1,
+  retries: 2,
+  // Doubles after each failed attempt
+  retryDelayMs: 60 * 1000,
+  enabled: true
+};
+
+// Job name -> definition and live state
+const jobs = new Map();
+
+// Job name -> recent runs, oldest first
+const runs = readJson(RUNS_FILE, {});
+
+// Resolvers waiting for a free slot, first come first served
+const waiting = [];
+let active = 0;
+let started = false;
+
+const saver = createSaver(RUNS_FILE, () => runs);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function acquireSlot() {
+  if (active < MAX_CONCURRENT_JOBS) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else active--;
+}
+
+function withJitter(ms, jitter) {
+  return Math.round(ms * (1 + (Math.random() * 2 - 1) * jitter));
+}
+
+function recordRun(run) {
+  if (!runs[run.job]) runs[run.job] = [];
+  const history = runs[run.job];
+  history.push(run);
+  if (history.length > MAX_RUNS_PER_JOB) history.splice(0, history.length - MAX_RUNS_PER_JOB);
+  saver.schedule();
+}
+
+/**
+ * One run of a job. Scheduled runs retry failures (with backoff, holding no slot
+ * while they wait); manual runs make a single attempt so the caller is not kept waiting.
+ */
+async function execute(job, trigger) {
+  const retries = trigger === 'schedule' ? job.retries : 0;
+  const run = {
+    id: `${job.name}-${Date.now().toString(36)}`,
+    job: job.name,
+    trigger,
+    status: 'running',
+    attempts: 0,
+    started_at: new Date().toISOString()
+  };
+  job.current = run;
+
+  while (run.status === 'running') {
+    await acquireSlot();
+    run.attempts++;
+    try {
+      const result = await job.run();
+      run.status = result && result.skipped ? 'skipped' : 'success';
+      run.result = result;
+      delete run.error;
+    } catch (error) {
+      run.error = error.message;
+      if (run.attempts > retries || error.retryable === false) {
+        run.status = 'failed';
+        console.error(`[Scheduler] ${job.name} failed after ${run.attempts} attempt(s):`, error.message);
+      }
+    } finally {
+      releaseSlot();
+    }
+
+    if (run.status === 'running') {
+      const delay = job.retryDelayMs * Math.pow(2, run.attempts - 1);
+      console.error(`[Scheduler] ${job.name} attempt ${run.attempts} failed (${run.error}); retrying in ${Math.round(delay / 1000)}s`);
+      await sleep(delay);
+    }
+  }
+
+  run.finished_at = new Date().toISOString();
+  run.duration_ms = Date.parse(run.finished_at) - Date.parse(run.started_at);
+  job.current = null;
+  recordRun(run);
+  return run;
+}
+
+/**
+ * Start a run, or join the one already in progress
+ */
+function trigger(job, source) {
+  if (!job.pending) {
+    job.pending = execute(job, source).finally(() => {
+      job.pending = null;
+    });
+  }
+  return job.pending;
+}
+
+function scheduleNext(job, delayMs) {
+  clearTimeout(job.timer);
+  job.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+  job.timer = setTimeout(async () => {
+    job.nextRunAt = null;
+    await trigger(job, 'schedule');
+    scheduleNext(job, withJitter(job.intervalMs, job.jitter));
+  }, delayMs);
+}
+
+/**
+ * Register a job. run() resolves to a summary (one with skipped: true counts as
+ * skipped) and throws when the run failed; errors with retryable === false are
+ * not retried.
+ * options: { intervalMs, initialDelayMs, jitter, retries, retryDelayMs, enabled, description }
+ * Disabled jobs never run on their own but can still be triggered with runJob.
+ */
+function defineJob(name, run, options) {
+  if (jobs.has(name)) throw new Error(`Job already defined: ${name}`);
+  if (!(options.intervalMs > 0)) throw new Error(`Job ${name} needs a positive intervalMs`);
+
+  const job = { ...DEFAULTS, ...options, name, run, timer: null, nextRunAt: null, pending: null, current: null };
+  jobs.set(name, job);
+  if (started && job.enabled) scheduleNext(job, withJitter(job.initialDelayMs, job.jitter));
+}
+
+/**
+ * Start the timers of every enabled job (first runs after their initial delay)
+ */
+function startJobs() {
+  if (started) return;
+  started = true;
+
+  jobs.forEach(job => {
+    if (job.enabled) scheduleNext(job, withJitter(job.initialDelayMs, job.jitter));
+  });
+  const enabled = Array.from(jobs.values()).filter(job => job.enabled);
+  console.log(`[Scheduler] ${enabled.length} job(s) scheduled: ${enabled.map(job => `${job.name} every ${Math.round(job.intervalMs / 60000)} min`).join(', ')}`);
+}
+
+/**
+ * Run a job now. Resolves to the run record, or null for an unknown job.
+ * A run already in progress (which may be waiting out a retry backoff) is not
+ * joined: its record is returned at once with status 'running'.
+ */
+function runJob(name) {
+  const job = jobs.get(name);
+  if (!job) return Promise.resolve(null);
+  if (job.pending) return Promise.resolve({ ...job.current });
+  return trigger(job, 'manual');
+}
+
+/**
+ * Throw when every entry of a collector's per-item results (e.g. summary.queries)
+ * has an error, so the run counts as failed. All-rate-limited runs are not retried;
+ * the Twitter scheduler already waits those out.
+ */
+function requireSomeSuccess(results) {
+  const outcomes = Object.values(results || {});
+  if (outcomes.length === 0 || !outcomes.every(outcome => outcome.error)) return;
+
+  const error = new Error(`All ${outcomes.length} failed: ${outcomes[0].error}`);
+  error.retryable = !outcomes.every(outcome => outcome.rateLimited);
+  throw error;
+}
+
+function consecutiveFailures(history) {
+  let count = 0;
+  for (let i = history.length - 1; i >= 0 && history[i].status === 'failed'; i--) count++;
+  return count;
+}
+
+/**
+ * Every job with its schedule, current run and recent outcome
+ */
+function listJobs() {
+  return Array.from(jobs.values()).map(job => {
+    const history = runs[job.name] || [];
+    const last = history[history.length - 1] || null;
+    return {
+      name: job.name,
+      description: job.description || null,
+      enabled: job.enabled,
+      interval_minutes: Math.round(job.intervalMs / 60000),
+      jitter: job.jitter,
+      retries: job.retries,
+      running: !!job.current,
+      current: job.current,
+      next_run_at: job.nextRunAt,
+      last_run: last && { id: last.id, status: last.status, started_at: last.started_at, finished_at: last.finished_at, error: last.error },
+      last_success_at: (history.filter(run => run.status === 'success').pop() || {}).finished_at || null,
+      consecutive_failures: consecutiveFailures(history),
+      recent_runs: history.length,
+      recent_failures: history.filter(run => run.status === 'failed').length
+    };
+  });
+}
+
+/**
+ * A job's recorded runs, newest first. Returns null for an unknown job.
+ * filters: status (success | skipped | failed), limit
+ */
+function getJobRuns(name, filters = {}) {
+  if (!jobs.has(name)) return null;
+  const limit = Math.min(parseInt(filters.limit) || 20, MAX_RUNS_PER_JOB);
+  return (runs[name] || [])
+    .filter(run => !filters.status || run.status === filters.status)
+    .slice()
+    .reverse()
+    .slice(0, limit);
+}
+
+function getSchedulerStatus() {
+  return { started, concurrency: MAX_CONCURRENT_JOBS, active, waiting: waiting.length, jobs: jobs.size };
+}
+
+module.exports = {
+  RUN_STATUSES,
+  defineJob,
+  startJobs,
+  runJob,
+  requireSomeSuccess,
+  listJobs,
+  getJobRuns,
+  getSchedulerStatus
+};
@@ -0,0 +1,96 @@
+/**
+ * JSON File Storage
+ * Persistence helpers for the file-backed stores kept under DATA_DIR
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'storage');
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+/**
+ * Absolute path for a store file
+ */
+function dataPath(name) {
+  return path.join(DATA_DIR, name);
+}
+
+/**
+ * Read a JSON store file, returning the fallback when missing or unreadable
+ */
+function readJson(name, fallback) {
+  const filePath = dataPath(name);
+  if (!fs.existsSync(filePath)) return fallback;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`[Storage] Failed to read ${name}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON store file atomically (temp file + rename)
+ */
+async function writeJson(name, data) {
+  const filePath = dataPath(name);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Debounced writer for a store. Call schedule() after every change;
+ * writes are batched and never overlap.
+ */
+function createSaver(name, getData, delayMs = 2000) {
+  let timer = null;
+  let writing = false;
+  let pending = false;
+
+  async function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (writing) {
+      pending = true;
+      return;
+    }
+
+    writing = true;
+    try {
+      await writeJson(name, getData());
+    } catch (error) {
+      console.error(`[Storage] Failed to write ${name}:`, error.message);
+    } finally {
+      writing = false;
+      if (pending) {
+        pending = false;
+        schedule();
+      }
+    }
+  }
+
+  function schedule() {
+    if (!timer) {
+      timer = setTimeout(flush, delayMs);
+    }
+  }
+
+  return { schedule, flush };
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  writeJson,
+  createSaver
+};
@@ -0,0 +1,79 @@
+/**
+ * Language Helpers
+ * Script-based detection for Bengali, Hindi and English text and
+ * parsing of ?lang= selections
+ */
+
+const SUPPORTED_LANGUAGES = ['bn', 'hi', 'en'];
+
+// Letters per script: Bengali, Devanagari (Hindi), Latin (English)
+const SCRIPT_PATTERNS = {
+  bn: /[\u0980-\u09FF]/g,
+  hi: /[\u0900-\u097F]/g,
+  en: /[A-Za-z]/g
+};
+
+/**
+ * Detect the dominant language of a text from its script.
+ * Returns 'bn', 'hi', 'en' or 'und' when there are no letters to go on.
+ */
+function detectScriptLanguage(text) {
+  if (!text) return 'und';
+
+  // Ignore URLs, mentions and hashtags, which are almost always Latin script
+  const cleaned = text.replace(/https?:\/\/\S+/g, '').replace(/[@#]\w+/g, '');
+
+  let best = 'und';
+  let bestCount = 0;
+  SUPPORTED_LANGUAGES.forEach(lang => {
+    const count = (cleaned.match(SCRIPT_PATTERNS[lang]) || []).length;
+    // Indic scripts pack more meaning per character than Latin; weight them up
+    const weighted = lang === 'en' ? count : count * 2;
+    if (weighted > bestCount) {
+      best = lang;
+      bestCount = weighted;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Language of a tweet: Twitter's own detection when it names a language,
+ * otherwise (und, hashtag-only, media-only) the script of the text
+ */
+function tweetLanguage(tweet) {
+  const lang = tweet.lang;
+  if (lang && lang !== 'und' && lang !== 'zxx' && !lang.startsWith('q')) {
+    return { language: lang, source: 'twitter' };
+  }
+  return { language: detectScriptLanguage(tweet.text), source: 'script' };
+}
+
+/**
+ * Parse a ?lang= value ('bn', 'hi', 'en', 'all' or a comma list).
+ * Returns { languages } (empty array means all) or { error }.
+ */
+function parseLanguages(value, fallback = 'all') {
+  // A repeated ?lang= arrives as an array (and ?lang[x]= as an object)
+  if (value !== undefined && typeof value !== 'string') {
+    return { error: 'lang must be given once (use a comma list for several languages)' };
+  }
+  const raw = (value || fallback).toLowerCase();
+  if (raw === 'all') return { languages: [] };
+
+  const languages = Array.from(new Set(raw.split(',').map(lang => lang.trim()).filter(Boolean)));
+  const invalid = languages.filter(lang => !SUPPORTED_LANGUAGES.includes(lang));
+  if (invalid.length > 0) {
+    return { error: `Unsupported language: ${invalid.join(', ')} (use ${SUPPORTED_LANGUAGES.join(', ')} or all)` };
+  }
+
+  return { languages };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  detectScriptLanguage,
+  tweetLanguage,
+  parseLanguages
+};
@@ -0,0 +1,230 @@
+/**
+ * Monitoring Profiles
+ * Named sets of hashtags, keywords and accounts (a by-election, a district,
+ * a leader) that the Twitter routes build their queries from
+ */
+
+const { readJson, createSaver } = require('./json-store.cjs');
+const { getEntities } = require('./content-analysis.cjs');
+const { slugify } = require('./helpers.cjs');
+
+const PROFILES_FILE = 'monitoring-profiles.json';
+const DEFAULT_PROFILE_ID = 'bjp-bengal';
+
+// The original BJP Bengal configuration, always available as the default profile
+const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'BJP Bengal',
+  description: 'State-wide BJP West Bengal monitoring',
+  // Party (political-entities ID) whose supporters and critics the influencer stance measures
+  party: 'bjp',
+  hashtags: ['#BJP', '#BJPBengal', '#BJP4Bengal', '#WestBengal', '#Kolkata', '#BengalPolitics', '#ModiInBengal', '#BJPWestBengal'],
+  keywords: ['BJP West Bengal', 'BJP Bengal', 'BJP Kolkata', 'Suvendu Adhikari', 'Sukanta Majumdar'],
+  accounts: ['BJP4Bengal', 'BJP4India'],
+  // Accounts whose @mentions feed /api/twitter/mentions
+  mentionAccounts: ['BJP4Bengal'],
+  // Native-script keywords, used when Bengali or Hindi tweets are requested
+  localizedKeywords: {
+    bn: ['বিজেপি', 'পশ্চিমবঙ্গ বিজেপি', 'শুভেন্দু অধিকারী', 'সুকান্ত মজুমদার'],
+    hi: ['भाजपा बंगाल', 'बीजेपी बंगाल', 'शुभेंदु अधिकारी', 'सुकांत मजूमदार']
+  }
+};
+
+const LIST_FIELDS = ['hashtags', 'keywords', 'accounts', 'mentionAccounts'];
+const LOCALIZED_LANGUAGES = ['bn', 'hi'];
+
+const profiles = new Map(Object.entries(readJson(PROFILES_FILE, {})));
+if (!profiles.has(DEFAULT_PROFILE_ID)) {
+  const now = new Date().toISOString();
+  profiles.set(DEFAULT_PROFILE_ID, { ...DEFAULT_PROFILE, createdAt: now, updatedAt: now });
+}
+
+const saver = createSaver(PROFILES_FILE, () => Object.fromEntries(profiles), 500);
+
+// Callbacks run after any profile change (cache purges, stream rule sync)
+const changeListeners = [];
+
+/**
+ * Clean up a list field: trim, drop blanks and duplicates, normalise # and @ prefixes
+ */
+function normalizeList(field, values) {
+  const cleaned = values.map(value => String(value).trim()).filter(Boolean).map(value => {
+    if (field === 'hashtags') return value.startsWith('#') ? value : `#${value}`;
+    if (field === 'accounts' || field === 'mentionAccounts') return value.replace(/^@/, '');
+    return value;
+  });
+  return Array.from(new Set(cleaned));
+}
+
+const TERMS_REQUIRED = 'At least one hashtag, keyword or account is required';
+
+/**
+ * Profiles build their searches and stream rules from these; one with none matches nothing
+ */
+function hasTerms(profile) {
+  return ['hashtags', 'keywords', 'accounts'].some(field => (profile[field] || []).length > 0);
+}
+
+/**
+ * Validate and normalise profile input. Returns { profile } or { error }.
+ * With partial=true only the fields present are checked (for updates).
+ */
+function validateProfile(input, partial = false) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Profile body required' };
+  }
+
+  const profile = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'name is required' };
+    }
+    profile.name = input.name.trim();
+  }
+
+  if (input.description !== undefined) {
+    profile.description = String(input.description);
+  }
+
+  if (input.party !== undefined) {
+    if (!getEntities().some(entity => entity.type === 'party' && entity.id === input.party)) {
+      return { error: `Unknown party: ${input.party}` };
+    }
+    profile.party = input.party;
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (input[field] === undefined) continue;
+    if (!Array.isArray(input[field])) {
+      return { error: `${field} must be an array of strings` };
+    }
+    profile[field] = normalizeList(field, input[field]);
+  }
+
+  const invalidAccount = [...(profile.accounts || []), ...(profile.mentionAccounts || [])]
+    .find(account => !/^\w{1,15}$/.test(account));
+  if (invalidAccount) {
+    return { error: `Invalid account handle: ${invalidAccount}` };
+  }
+
+  if (input.localizedKeywords !== undefined) {
+    if (typeof input.localizedKeywords !== 'object' || Array.isArray(input.localizedKeywords)) {
+      return { error: 'localizedKeywords must be an object keyed by language (bn, hi)' };
+    }
+    profile.localizedKeywords = {};
+    for (const [lang, values] of Object.entries(input.localizedKeywords)) {
+      if (!LOCALIZED_LANGUAGES.includes(lang) || !Array.isArray(values)) {
+        return { error: `localizedKeywords.${lang} is not supported` };
+      }
+      profile.localizedKeywords[lang] = normalizeList('keywords', values);
+    }
+  }
+
+  if (!partial && !hasTerms(profile)) {
+    return { error: TERMS_REQUIRED };
+  }
+
+  return { profile };
+}
+
+function notifyChange(profile, action) {
+  saver.schedule();
+  changeListeners.forEach(listener => {
+    try {
+      listener(profile, action);
+    } catch (error) {
+      console.error('[Profiles] Change listener failed:', error.message);
+    }
+  });
+}
+
+function listProfiles() {
+  return Array.from(profiles.values());
+}
+
+function getProfile(id) {
+  return profiles.get(id) || null;
+}
+
+/**
+ * Look up the profile named by a ?profile= value (the default when absent).
+ * Returns { profile } or { error }.
+ */
+function resolveProfile(id) {
+  const profile = getProfile(id || DEFAULT_PROFILE_ID);
+  if (!profile) {
+    return { error: `Monitoring profile not found: ${id}` };
+  }
+  return { profile };
+}
+
+function createProfile(input) {
+  const { profile, error } = validateProfile(input);
+  if (error) return { error };
+
+  const id = slugify(input.id || profile.name);
+  if (!id) return { error: 'Profile id could not be derived from name' };
+  if (profiles.has(id)) return { error: `Profile already exists: ${id}`, conflict: true };
+
+  const now = new Date().toISOString();
+  const created = {
+    id,
+    name: profile.name,
+    description: '',
+    party: DEFAULT_PROFILE.party,
+    hashtags: [],
+    keywords: [],
+    accounts: [],
+    mentionAccounts: [],
+    localizedKeywords: {},
+    ...profile,
+    createdAt: now,
+    updatedAt: now
+  };
+  profiles.set(id, created);
+  notifyChange(created, 'created');
+  return { profile: created };
+}
+
+function updateProfile(id, input) {
+  const existing = profiles.get(id);
+  if (!existing) return { error: `Monitoring profile not found: ${id}`, notFound: true };
+
+  const { profile, error } = validateProfile(input, true);
+  if (error) return { error };
+
+  const updated = { ...existing, ...profile, id, updatedAt: new Date().toISOString() };
+  if (!hasTerms(updated)) return { error: TERMS_REQUIRED };
+  profiles.set(id, updated);
+  notifyChange(updated, 'updated');
+  return { profile: updated };
+}
+
+function deleteProfile(id) {
+  if (id === DEFAULT_PROFILE_ID) return { error: 'The default profile cannot be deleted' };
+  const existing = profiles.get(id);
+  if (!existing) return { error: `Monitoring profile not found: ${id}`, notFound: true };
+
+  profiles.delete(id);
+  notifyChange(existing, 'deleted');
+  return { profile: existing };
+}
+
+/**
+ * Register a callback for profile changes: listener(profile, 'created' | 'updated' | 'deleted')
+ */
+function onProfileChange(listener) {
+  changeListeners.push(listener);
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  listProfiles,
+  getProfile,
+  resolveProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  onProfileChange
+};
@@ -0,0 +1,148 @@
+/**
+ * News Story Clustering
+ * Groups articles about the same story (same canonical URL or near-identical
+ * headline) so a story syndicated across outlets or matched by many
+ * constituencies is counted once
+ */
+
+const crypto = require('crypto');
+
+// Jaccard similarity of headline tokens at or above which two articles are one story
+const SIMILARITY_THRESHOLD = parseFloat(process.env.NEWS_CLUSTER_SIMILARITY) || 0.6;
+
+// A story tagged to more seats than this is state-level news, not local news for each seat
+const STATE_STORY_MIN_SEATS = parseInt(process.env.NEWS_STATE_STORY_SEATS) || 10;
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|ref|ref_src|cmpid|amp)$/i;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'has', 'have', 'had',
+  'will', 'after', 'over', 'into', 'amid', 'says', 'said', 'its', 'his', 'her', 'their', 'who',
+  'what', 'how', 'why', 'but', 'not', 'new', 'news', 'live', 'updates', 'today'
+]);
+
+/**
+ * Canonical form of an article URL: no scheme, www, fragment, tracking parameters,
+ * AMP suffix or trailing slash
+ */
+function canonicalUrl(value) {
+  if (!value) return '';
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return value.trim().toLowerCase();
+  }
+
+  const params = Array.from(url.searchParams.keys()).filter(key => !TRACKING_PARAMS.test(key)).sort();
+  const query = params.map(key => `${key}=${url.searchParams.get(key)}`).join('&');
+  const pathname = url.pathname
+    .replace(/\/amp(\/|$)/i, '/')
+    .replace(/\.amp(\.html?)?$/i, '$1')
+    .replace(/\/+$/, '');
+
+  return `${url.hostname.toLowerCase().replace(/^www\./, '')}${pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Distinct significant words of a headline (English and Bengali)
+ */
+function titleTokens(title) {
+  return new Set((title || '')
+    .toLowerCase()
+    .split(/[^a-z0-9\u0980-\u09FF]+/)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token)));
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+function timeOf(article) {
+  return new Date(article.published_at || article.fetched_at).getTime() || 0;
+}
+
+/**
+ * Group articles into stories.
+ * Articles may carry constituency_id (or constituency_ids) to record the seats a story touches.
+ * Returns clusters, earliest story first:
+ * { id, title, url, first_seen, last_seen, sources, article_count, constituencies, state_level, articles }
+ */
+function clusterArticles(articles, options = {}) {
+  const threshold = options.threshold ?? SIMILARITY_THRESHOLD;
+  const clusters = [];
+  const byUrl = new Map();
+  // token -> clusters whose headline has it, so each article is only compared with plausible matches
+  const byToken = new Map();
+
+  const ordered = [...articles].sort((a, b) => timeOf(a) - timeOf(b));
+
+  ordered.forEach(article => {
+    const url = canonicalUrl(article.url);
+    let cluster = url ? byUrl.get(url) : null;
+
+    if (!cluster) {
+      const tokens = titleTokens(article.title);
+      const candidates = new Set();
+      tokens.forEach(token => (byToken.get(token) || []).forEach(candidate => candidates.add(candidate)));
+
+      let best = 0;
+      candidates.forEach(candidate => {
+        const similarity = jaccard(tokens, candidate.tokens);
+        if (similarity >= threshold && similarity > best) {
+          best = similarity;
+          cluster = candidate;
+        }
+      });
+
+      if (!cluster) {
+        cluster = {
+          id: crypto.createHash('sha1').update(url || article.title || '').digest('hex').slice(0, 12),
+          title: article.title,
+          url: article.url,
+          tokens,
+          first_seen: article.published_at || article.fetched_at || null,
+          last_seen: article.published_at || article.fetched_at || null,
+          sources: new Set(),
+          constituencies: new Set(),
+          articles: []
+        };
+        clusters.push(cluster);
+        tokens.forEach(token => {
+          if (!byToken.has(token)) byToken.set(token, []);
+          byToken.get(token).push(cluster);
+        });
+      }
+    }
+
+    if (url) byUrl.set(url, cluster);
+    if (article.source) cluster.sources.add(article.source);
+    [article.constituency_id, ...(article.constituency_ids || [])]
+      .filter(Boolean)
+      .forEach(id => cluster.constituencies.add(id));
+    if (timeOf(article) > new Date(cluster.last_seen).getTime()) {
+      cluster.last_seen = article.published_at || article.fetched_at;
+    }
+    cluster.articles.push(article);
+  });
+
+  return clusters.map(({ tokens, ...cluster }) => ({
+    ...cluster,
+    sources: Array.from(cluster.sources),
+    article_count: cluster.articles.length,
+    constituencies: Array.from(cluster.constituencies),
+    state_level: cluster.constituencies.size > STATE_STORY_MIN_SEATS
+  }));
+}
+
+module.exports = {
+  STATE_STORY_MIN_SEATS,
+  canonicalUrl,
+  clusterArticles
+};
@@ -0,0 +1,274 @@
+/**
+ * Constituency News Collector
+ * Refreshes every seat's news in the background (Google News plus polled outlet
+ * articles) and keeps the latest result per seat, so the constituency and heatmap
+ * routes answer from collected data instead of fetching feeds per request
+ */
+
+const { readJson, createSaver } = require('./json-store.cjs');
+const constituencies = require('./constituencies.cjs');
+const constituencyNews = require('./constituency-news.cjs');
+const newsOutlets = require('./news-outlets.cjs');
+const newsStore = require('./news-store.cjs');
+const heatmapHistory = require('./heatmap-history.cjs');
+const { clusterArticles } = require('./news-clusters.cjs');
+const newsIssues = require('./news-issues.cjs');
+const alertRules = require('./alert-rules.cjs');
+const { analyzeSentiment, classifyIssues, getIssueCategories } = require('./content-analysis.cjs');
+
+const COLLECTED_FILE = 'constituency-news.json';
+// Articles below this relevance are not kept, so ?min_score= can only narrow from here
+const MIN_SCORE = parseFloat(process.env.NEWS_COLLECT_MIN_SCORE) || constituencyNews.DEFAULT_MIN_SCORE;
+const MAX_ARTICLES_PER_SEAT = parseInt(process.env.NEWS_COLLECT_MAX_PER_SEAT) || 50;
+// Seats fetched together, and the pause between batches, to stay gentle on Google News
+const BATCH_SIZE = parseInt(process.env.NEWS_COLLECT_BATCH_SIZE) || 10;
+const BATCH_DELAY_MS = parseInt(process.env.NEWS_COLLECT_BATCH_DELAY_MS) || 1000;
+// While Google News throttles (429/503) the pause doubles per batch, up to this
+const MAX_BATCH_DELAY_MS = 60 * 1000;
+const THROTTLED_STATUSES = [429, 503];
+// Batches in a row that were throttled or failed for every seat before a run gives up
+const MAX_FAILED_BATCHES = parseInt(process.env.NEWS_COLLECT_MAX_FAILED_BATCHES) || 3;
+const TOP_ISSUES_PER_SEAT = 3;
+
+const stored = readJson(COLLECTED_FILE, {});
+
+// Constituency ID -> { articles, queries, fetched, errors, collected_at }
+const collected = new Map(Object.entries(stored.seats || {}));
+let lastCollection = stored.lastCollection || null;
+let collecting = false;
+
+const saver = createSaver(COLLECTED_FILE, () => ({ seats: Object.fromEntries(collected), lastCollection }));
+
+/**
+ * Seat columns shared by the heatmap responses
+ */
+function heatmapSeat(constituency) {
+  return {
+    constituency_id: constituency.id,
+    constituency_name: constituency.name,
+    constituency_name_bn: constituency.name_bn,
+    district: constituency.district,
+    lok_sabha: constituency.lok_sabha
+  };
+}
+
+async function collectSeat(constituency) {
+  const result = await constituencyNews.searchConstituencyNews(constituency, {
+    minScore: MIN_SCORE,
+    limit: MAX_ARTICLES_PER_SEAT,
+    extraArticles: newsOutlets.articlesForConstituency(constituency.id)
+  });
+
+  const articles = newsStore.recordArticles(await newsIssues.classifyArticles(result.articles));
+  alertRules.observeArticles(articles, constituency.id);
+
+  collected.set(constituency.id, {
+    articles,
+    queries: result.queries,
+    fetched: result.fetched,
+    errors: result.errors,
+    collected_at: new Date().toISOString()
+  });
+  saver.schedule();
+  return {
+    count: result.articles.length,
+    throttled: result.errors.some(error => THROTTLED_STATUSES.includes(error.status))
+  };
+}
+
+/**
+ * Refresh every seat, a batch at a time. A seat that fails keeps its previous
+ * articles. The pause between batches grows while Google News throttles, and the
+ * run stops (without retries) after MAX_FAILED_BATCHES throttled or all-failed
+ * batches in a row; it also throws when every seat failed. Each complete run is
+ * recorded in the heatmap history.
+ */
+async function collectConstituencyNews() {
+  if (collecting) {
+    return { skipped: true, reason: 'Collection already running' };
+  }
+
+  collecting = true;
+  const seats = constituencies.listConstituencies();
+  const summary = { startedAt: new Date().toISOString(), seats: seats.length, articles: 0, failed: [] };
+
+  try {
+    let delay = BATCH_DELAY_MS;
+    let failedBatches = 0;
+
+    for (let i = 0; i < seats.length; i += BATCH_SIZE) {
+      const batch = seats.slice(i, i + BATCH_SIZE);
+      let throttled = false;
+      let batchFailures = 0;
+
+      await Promise.all(batch.map(async constituency => {
+        try {
+          const seat = await collectSeat(constituency);
+          summary.articles += seat.count;
+          if (seat.throttled) throttled = true;
+        } catch (error) {
+          console.error(`[News Collector] Error for ${constituency.id}:`, error.message);
+          summary.failed.push(constituency.id);
+          batchFailures++;
+          if (THROTTLED_STATUSES.includes(error.status)) throttled = true;
+        }
+      }));
+
+      failedBatches = throttled || batchFailures === batch.length ? failedBatches + 1 : 0;
+      if (failedBatches >= MAX_FAILED_BATCHES && i + BATCH_SIZE < seats.length) {
+        summary.stoppedAfter = i + batch.length;
+        summary.finishedAt = new Date().toISOString();
+        lastCollection = summary;
+        saver.schedule();
+        const error = new Error(`News collection stopped after ${failedBatches} failing batches (${summary.stoppedAfter}/${seats.length} seats tried)`);
+        // Retrying straight away would only add to the throttling; the next interval tries again
+        error.retryable = false;
+        throw error;
+      }
+
+      delay = throttled ? Math.min(delay * 2, MAX_BATCH_DELAY_MS) : BATCH_DELAY_MS;
+      if (i + BATCH_SIZE < seats.length) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    if (summary.failed.length === seats.length) {
+      throw new Error(`News collection failed for all ${seats.length} constituencies`);
+    }
+
+    // History only keeps default-threshold runs so points stay comparable over time
+    heatmapHistory.recordSnapshot(buildHeatmap(seats, { minScore: constituencyNews.DEFAULT_MIN_SCORE }).data);
+
+    summary.finishedAt = new Date().toISOString();
+    lastCollection = summary;
+    saver.schedule();
+    console.log(`[News Collector] Collected ${summary.articles} articles for ${seats.length - summary.failed.length}/${seats.length} constituencies`);
+    return summary;
+  } finally {
+    collecting = false;
+  }
+}
+
+/**
+ * A seat's collected articles at or above minScore (never below the collection
+ * threshold), optionally only in some languages, sorted and limited.
+ * Returns null if the seat has not been collected yet.
+ */
+function getConstituencyNews(constituencyId, options = {}) {
+  const entry = collected.get(constituencyId);
+  if (!entry) return null;
+
+  const minScore = Math.max(options.minScore ?? constituencyNews.DEFAULT_MIN_SCORE, MIN_SCORE);
+  const languages = options.languages || [];
+  let articles = constituencyNews.sortArticles(
+    entry.articles.filter(article => article.relevance >= minScore &&
+      (languages.length === 0 || languages.includes(article.language))),
+    options.sort
+  );
+  if (options.limit) articles = articles.slice(0, options.limit);
+
+  return { ...entry, articles, minScore };
+}
+
+/**
+ * Issue IDs of a story: every issue any of its articles is tagged with. Articles
+ * collected before issue tagging are classified from their headline.
+ */
+function storyIssues(story) {
+  return new Set(story.articles.flatMap(article => article.issues || classifyIssues(article.title).map(issue => issue.id)));
+}
+
+/**
+ * Issues ranked by how many of the stories carry them: [{ id, name, stories }]
+ */
+function rankIssues(stories, issuesOf) {
+  const names = new Map(getIssueCategories().map(category => [category.id, category.name]));
+  const counts = new Map();
+  stories.forEach(story => issuesOf(story).forEach(id => counts.set(id, (counts.get(id) || 0) + 1)));
+  return Array.from(counts.entries())
+    .map(([id, count]) => ({ id, name: names.get(id) || id, stories: count }))
+    .sort((a, b) => b.stories - a.stories);
+}
+
+/**
+ * Heatmap rows for the given seats from collected news, plus the stories behind them.
+ * news_count is distinct local stories per seat; raw matches are in article_count.
+ * One story matched by many seats (or run by many outlets) is counted once; stories
+ * spanning more than STATE_STORY_MIN_SEATS seats are state-level and kept out of seat counts.
+ * top_issues ranks the issues of a seat's local stories; issues does the same over every story.
+ */
+function buildHeatmap(seats, { minScore, sort } = {}) {
+  const fetched = seats.map(constituency => {
+    const news = getConstituencyNews(constituency.id, { minScore, sort });
+    return {
+      constituency,
+      collectedAt: news ? news.collected_at : null,
+      articles: news ? news.articles.map(article => ({ ...article, constituency_id: constituency.id })) : []
+    };
+  });
+
+  const stories = clusterArticles(fetched.flatMap(seat => seat.articles));
+  const storyOf = new Map();
+  stories.forEach(story => story.articles.forEach(article => storyOf.set(article, story)));
+  const issuesOf = new Map(stories.map(story => [story, storyIssues(story)]));
+
+  const data = fetched.map(({ constituency, collectedAt, articles }) => {
+    const local = [];
+    const stateLevel = new Set();
+    articles.forEach(article => {
+      const story = storyOf.get(article);
+      if (story.state_level) stateLevel.add(story);
+      else if (!local.includes(story)) local.push(story);
+    });
+
+    // Get top 3 headlines
+    const headlines = local.slice(0, 3).map(story => story.title.substring(0, 80));
+
+    // Calculate sentiment from headlines
+    // Joined as sentences so negation and contrast do not reach across headlines
+    const sentiment = analyzeSentiment(headlines.join('. '));
+
+    return {
+      ...heatmapSeat(constituency),
+      news_count: local.length,
+      state_story_count: stateLevel.size,
+      article_count: articles.length,
+      sentiment_score: sentiment.score,
+      sentiment_label: sentiment.label,
+      sentiment_confidence: sentiment.confidence,
+      sentiment_targets: sentiment.targets,
+      top_issues: rankIssues(local, story => issuesOf.get(story)).slice(0, TOP_ISSUES_PER_SEAT),
+      top_headlines: headlines,
+      story_ids: local.map(story => story.id),
+      collected_at: collectedAt
+    };
+  });
+
+  return {
+    data,
+    stories,
+    issues: rankIssues(stories, story => issuesOf.get(story)),
+    articles: fetched.reduce((sum, seat) => sum + seat.articles.length, 0)
+  };
+}
+
+function getCollectionStatus() {
+  const times = Array.from(collected.values()).map(entry => entry.collected_at).sort();
+  return {
+    seats: collected.size,
+    total: constituencies.listConstituencies().length,
+    running: collecting,
+    oldest: times[0] || null,
+    newest: times[times.length - 1] || null,
+    minScore: MIN_SCORE,
+    lastCollection
+  };
+}
+
+module.exports = {
+  heatmapSeat,
+  collectConstituencyNews,
+  getConstituencyNews,
+  buildHeatmap,
+  getCollectionStatus
+};
@@ -0,0 +1,78 @@
+/**
+ * News Issue Classification
+ * Issue tags for collected articles: the keyword rules first, then (with
+ * ISSUE_LLM_FALLBACK=true) the shared OpenAI client for headlines
+ * the rules could not place, cached per text
+ */
+
+const crypto = require('crypto');
+const { readJson, createSaver } = require('./json-store.cjs');
+const { classifyIssuesText } = require('./openai-text.cjs');
+const { classifyIssues, getIssueCategories } = require('./content-analysis.cjs');
+const { trimOldest } = require('./helpers.cjs');
+
+const CACHE_FILE = 'news-issues.json';
+const LLM_FALLBACK = process.env.ISSUE_LLM_FALLBACK === 'true';
+const CACHE_TTL_MS = (parseInt(process.env.ISSUE_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_CACHED = parseInt(process.env.ISSUE_CACHE_MAX_ENTRIES) || 20000;
+// Headlines sent to the model per call; the rest stay untagged until a later run
+const MAX_LLM_PER_CALL = parseInt(process.env.ISSUE_LLM_MAX_PER_CALL) || 10;
+
+// Hash of the text -> { issues, expires_at }
+const cache = new Map(Object.entries(readJson(CACHE_FILE, {}))
+  .filter(([, entry]) => entry.expires_at > Date.now()));
+
+const saver = createSaver(CACHE_FILE, () => Object.fromEntries(cache));
+
+function textKey(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+function articleText(article) {
+  return [article.title, article.description]
+    .filter((part, index, parts) => part && parts.indexOf(part) === index)
+    .join('. ');
+}
+
+/**
+ * Issue IDs from the model, or null when it was unavailable (not cached, so a later run retries)
+ */
+async function modelIssues(text) {
+  const key = textKey(text);
+  const cached = cache.get(key);
+  if (cached && cached.expires_at > Date.now()) return cached.issues;
+
+  const issues = await classifyIssuesText(text, getIssueCategories());
+  if (issues) {
+    cache.set(key, { issues, expires_at: Date.now() + CACHE_TTL_MS });
+    trimOldest(cache, MAX_CACHED);
+    saver.schedule();
+  }
+  return issues;
+}
+
+/**
+ * Articles with issues (category IDs) and issues_source ('rules', 'llm' or null when untagged)
+ */
+async function classifyArticles(articles) {
+  let asked = 0;
+  const classified = [];
+
+  for (const article of articles) {
+    const text = articleText(article);
+    const issues = classifyIssues(text).map(issue => issue.id);
+    if (issues.length > 0 || !LLM_FALLBACK || asked >= MAX_LLM_PER_CALL) {
+      classified.push({ ...article, issues, issues_source: issues.length > 0 ? 'rules' : null });
+      continue;
+    }
+
+    asked++;
+    const fallback = (await modelIssues(text)) || [];
+    classified.push({ ...article, issues: fallback, issues_source: fallback.length > 0 ? 'llm' : null });
+  }
+  return classified;
+}
+
+module.exports = {
+  classifyArticles
+};
@@ -0,0 +1,315 @@
+/**
+ * News Outlets
+ * Configurable list of regional outlets' feeds (Bengali and English), polled on an
+ * interval and tagged to assembly constituencies, so constituency news is not
+ * limited to what Google News surfaces
+ */
+
+const path = require('path');
+const { readJson, createSaver } = require('./json-store.cjs');
+const { fetchFeed, isAllowedHost } = require('./feed-fetcher.cjs');
+const { parseFeed } = require('./feed-parser.cjs');
+const { tagConstituencies } = require('./constituency-news.cjs');
+const { articleId } = require('./news-store.cjs');
+const { slugify } = require('./helpers.cjs');
+
+const OUTLETS_FILE = 'news-outlets.json';
+const ARTICLES_FILE = 'outlet-articles.json';
+const DEFAULT_OUTLETS = require(path.join(__dirname, 'data', 'news-outlets.json'));
+
+const LANGUAGES = ['bn', 'en'];
+const MAX_OUTLET_ARTICLES = parseInt(process.env.MAX_OUTLET_ARTICLES) || 5000;
+const RETENTION_DAYS = parseInt(process.env.NEWS_OUTLET_RETENTION_DAYS) || 14;
+const QUERY_LIMIT_MAX = 200;
+
+// Outlet ID -> outlet; seeded from data/news-outlets.json on first start
+const outlets = new Map(Object.entries(readJson(OUTLETS_FILE, null) ||
+  Object.fromEntries(DEFAULT_OUTLETS.map(outlet => [outlet.id, outlet]))));
+
+const storedArticles = readJson(ARTICLES_FILE, {});
+
+// Article ID -> article, outlet ID -> last poll result
+const articles = new Map(Object.entries(storedArticles.articles || {}));
+const pollStatus = storedArticles.status || {};
+let lastPoll = storedArticles.lastPoll || null;
+let polling = false;
+
+const outletSaver = createSaver(OUTLETS_FILE, () => Object.fromEntries(outlets), 500);
+const articleSaver = createSaver(ARTICLES_FILE, () => ({
+  articles: Object.fromEntries(articles),
+  status: pollStatus,
+  lastPoll
+}));
+
+/**
+ * Validate and normalise outlet input. Returns { outlet } or { error }.
+ * With partial=true only the fields present are checked (for updates).
+ */
+function validateOutlet(input, partial = false) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Outlet body required' };
+  }
+
+  const outlet = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      return { error: 'name is required' };
+    }
+    outlet.name = input.name.trim();
+  }
+
+  if (input.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(input.url);
+    } catch (error) {
+      return { error: 'url must be an absolute http(s) feed URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { error: 'url must be an absolute http(s) feed URL' };
+    }
+    // Outlet feeds go through the same fetcher as the RSS proxy, so the same allowlist applies
+    if (!isAllowedHost(url.hostname)) {
+      return { error: `Host not in the RSS proxy allowlist: ${url.hostname}` };
+    }
+    outlet.url = url.toString();
+  }
+
+  if (input.language !== undefined || !partial) {
+    if (!LANGUAGES.includes(input.language)) {
+      return { error: `language must be one of ${LANGUAGES.join(', ')}` };
+    }
+    outlet.language = input.language;
+  }
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    outlet.enabled = input.enabled;
+  }
+
+  return { outlet };
+}
+
+/**
+ * Outlets with their last poll result and stored article count
+ */
+function listOutlets() {
+  const counts = {};
+  articles.forEach(article => {
+    counts[article.outlet_id] = (counts[article.outlet_id] || 0) + 1;
+  });
+
+  return Array.from(outlets.values()).map(outlet => ({
+    ...outlet,
+    articles: counts[outlet.id] || 0,
+    last_poll: pollStatus[outlet.id] || null
+  }));
+}
+
+function getOutlet(id) {
+  return outlets.get(id) || null;
+}
+
+function createOutlet(input) {
+  const { outlet, error } = validateOutlet(input);
+  if (error) return { error };
+
+  const id = slugify(input.id || outlet.name);
+  if (!id) return { error: 'Outlet id could not be derived from name' };
+  if (outlets.has(id)) return { error: `Outlet already exists: ${id}`, conflict: true };
+
+  const created = { id, enabled: true, ...outlet };
+  outlets.set(id, created);
+  outletSaver.schedule();
+  return { outlet: created };
+}
+
+function updateOutlet(id, input) {
+  const existing = outlets.get(id);
+  if (!existing) return { error: `News outlet not found: ${id}`, notFound: true };
+
+  const { outlet, error } = validateOutlet(input, true);
+  if (error) return { error };
+
+  const updated = { ...existing, ...outlet, id };
+  outlets.set(id, updated);
+  outletSaver.schedule();
+  return { outlet: updated };
+}
+
+/**
+ * Remove an outlet and the articles polled from it
+ */
+function deleteOutlet(id) {
+  const existing = outlets.get(id);
+  if (!existing) return { error: `News outlet not found: ${id}`, notFound: true };
+
+  outlets.delete(id);
+  delete pollStatus[id];
+  articles.forEach((article, articleKey) => {
+    if (article.outlet_id === id) articles.delete(articleKey);
+  });
+  outletSaver.schedule();
+  articleSaver.schedule();
+  return { outlet: existing };
+}
+
+function isExpired(article) {
+  return new Date(article.published_at || article.fetched_at).getTime() < Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Drop articles past the retention window, then the oldest beyond the size cap
+ */
+function pruneArticles() {
+  articles.forEach((article, id) => {
+    if (isExpired(article)) articles.delete(id);
+  });
+
+  if (articles.size <= MAX_OUTLET_ARTICLES) return;
+  const sorted = Array.from(articles.values())
+    .sort((a, b) => new Date(a.fetched_at) - new Date(b.fetched_at));
+  sorted.slice(0, articles.size - MAX_OUTLET_ARTICLES).forEach(article => articles.delete(article.id));
+}
+
+/**
+ * Fetch one outlet's feed and store its new items with their constituency tags.
+ * Returns { format, items, added }.
+ */
+async function pollOutlet(outlet) {
+  const feed = await fetchFeed(outlet.url);
+  const parsed = await parseFeed(feed.text, { sourceName: outlet.name });
+  const now = new Date().toISOString();
+  let added = 0;
+
+  parsed.items.forEach(item => {
+    if (!item.title || !item.url) return;
+    const id = articleId(item.url);
+    if (articles.has(id)) return;
+    // Feeds can carry old items; skip them rather than re-adding what pruning removed
+    if (item.published_at && isExpired({ published_at: item.published_at })) return;
+
+    const article = {
+      id,
+      outlet_id: outlet.id,
+      language: outlet.language,
+      title: item.title,
+      description: item.description.substring(0, 500),
+      url: item.url,
+      source: item.source,
+      published_at: item.published_at,
+      image_url: item.image_url,
+      categories: item.categories,
+      fetched_at: now
+    };
+    article.constituencies = tagConstituencies(article);
+    articles.set(id, article);
+    added++;
+  });
+
+  return { format: parsed.format, items: parsed.items.length, added };
+}
+
+/**
+ * Run one poll over every enabled outlet. Outlets are fetched one at a time;
+ * a failing feed is recorded and skipped.
+ */
+async function pollOutlets() {
+  if (polling) {
+    return { skipped: true, reason: 'Poll already running' };
+  }
+
+  polling = true;
+  const summary = { startedAt: new Date().toISOString(), outlets: {} };
+
+  try {
+    for (const outlet of outlets.values()) {
+      if (outlet.enabled === false) continue;
+
+      try {
+        const result = await pollOutlet(outlet);
+        pollStatus[outlet.id] = { at: new Date().toISOString(), ...result };
+      } catch (error) {
+        console.error(`[News Outlets] Poll error for ${outlet.id}:`, error.message);
+        pollStatus[outlet.id] = { at: new Date().toISOString(), error: error.message, code: error.code };
+      }
+      summary.outlets[outlet.id] = pollStatus[outlet.id];
+    }
+
+    pruneArticles();
+    summary.finishedAt = new Date().toISOString();
+    summary.added = Object.values(summary.outlets).reduce((sum, result) => sum + (result.added || 0), 0);
+    lastPoll = summary;
+    articleSaver.schedule();
+    console.log(`[News Outlets] Poll complete: ${summary.added} new articles`);
+    return summary;
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Query stored outlet articles, newest first.
+ * filters: constituency (ID), outlet, language, limit
+ */
+function queryArticles(filters = {}) {
+  const limit = Math.min(parseInt(filters.limit) || 50, QUERY_LIMIT_MAX);
+
+  const matched = Array.from(articles.values())
+    .filter(article => {
+      if (filters.outlet && article.outlet_id !== filters.outlet) return false;
+      if (filters.language && article.language !== filters.language) return false;
+      if (filters.constituency && !article.constituencies.some(tag => tag.id === filters.constituency)) return false;
+      return true;
+    })
+    .sort((a, b) => new Date(b.published_at || b.fetched_at) - new Date(a.published_at || a.fetched_at));
+
+  return { total: matched.length, data: matched.slice(0, limit) };
+}
+
+/**
+ * Stored articles tagged to a seat, in the shape searchConstituencyNews merges
+ */
+function articlesForConstituency(constituencyId) {
+  const articlesForSeat = [];
+  articles.forEach(article => {
+    if (!article.constituencies.some(tag => tag.id === constituencyId)) return;
+    articlesForSeat.push({
+      title: article.title,
+      description: article.description.substring(0, 200),
+      url: article.url,
+      source: article.source,
+      published_at: article.published_at || article.fetched_at,
+      image_url: article.image_url,
+      language: article.language,
+      outlet_id: article.outlet_id
+    });
+  });
+  return articlesForSeat;
+}
+
+function getPollStatus() {
+  return {
+    outlets: outlets.size,
+    enabled: Array.from(outlets.values()).filter(outlet => outlet.enabled !== false).length,
+    articles: articles.size,
+    polling,
+    lastPoll
+  };
+}
+
+module.exports = {
+  LANGUAGES,
+  listOutlets,
+  getOutlet,
+  createOutlet,
+  updateOutlet,
+  deleteOutlet,
+  pollOutlets,
+  queryArticles,
+  articlesForConstituency,
+  getPollStatus
+};
@@ -0,0 +1,207 @@
+/**
+ * News Article Store
+ * Deterministic article IDs (from the canonical URL), the time each article was
+ * first seen, a sequence cursor for "new since" queries and per-client read state
+ */
+
+const crypto = require('crypto');
+const { readJson, createSaver } = require('./json-store.cjs');
+const { canonicalUrl } = require('./news-clusters.cjs');
+
+const ARTICLES_FILE = 'news-articles.json';
+const READ_STATE_FILE = 'news-read-state.json';
+const MAX_STORED_ARTICLES = parseInt(process.env.NEWS_STORE_MAX_ARTICLES) || 20000;
+const RETENTION_DAYS = parseInt(process.env.NEWS_STORE_RETENTION_DAYS) || 30;
+const MAX_READ_PER_CLIENT = 10000;
+
+// Query parameters applied per request on top of cached news responses
+const VIEW_PARAMS = ['since', 'cursor', 'client', 'unread'];
+
+const stored = readJson(ARTICLES_FILE, {});
+
+// Article ID -> { id, url, title, source, first_seen_at, seq }
+const articles = new Map(Object.entries(stored.articles || {}));
+let seq = stored.seq || 0;
+
+// Client ID -> { article ID -> read at }
+const readState = readJson(READ_STATE_FILE, {});
+
+const articleSaver = createSaver(ARTICLES_FILE, () => ({ articles: Object.fromEntries(articles), seq }));
+const readSaver = createSaver(READ_STATE_FILE, () => readState, 1000);
+
+/**
+ * Stable article ID: the same URL (ignoring tracking parameters, AMP and www) always maps to the same ID
+ */
+function articleId(url) {
+  return crypto.createHash('sha1').update(canonicalUrl(url)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Drop articles first seen before the retention window, then the oldest beyond the cap,
+ * along with their read marks
+ */
+function pruneArticles() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const removed = [];
+  articles.forEach((article, id) => {
+    if (article.first_seen_at < cutoff) removed.push(id);
+  });
+
+  const kept = articles.size - removed.length;
+  if (kept > MAX_STORED_ARTICLES) {
+    const removing = new Set(removed);
+    Array.from(articles.values())
+      .filter(article => !removing.has(article.id))
+      .sort((a, b) => a.seq - b.seq)
+      .slice(0, kept - MAX_STORED_ARTICLES)
+      .forEach(article => removed.push(article.id));
+  }
+
+  if (removed.length === 0) return;
+  removed.forEach(id => articles.delete(id));
+  Object.values(readState).forEach(read => removed.forEach(id => delete read[id]));
+  readSaver.schedule();
+}
+
+/**
+ * Give fetched articles their stable id, first_seen_at and seq, storing new ones.
+ * Returns copies of the articles with those fields set.
+ */
+function recordArticles(fetched) {
+  const now = new Date().toISOString();
+  let added = 0;
+
+  const recorded = fetched.map(article => {
+    if (!article.url) return article;
+    const id = articleId(article.url);
+
+    if (!articles.has(id)) {
+      articles.set(id, {
+        id,
+        url: article.url,
+        title: article.title,
+        source: article.source,
+        first_seen_at: now,
+        seq: ++seq
+      });
+      added++;
+    }
+
+    const entry = articles.get(id);
+    return { ...article, id, first_seen_at: entry.first_seen_at, seq: entry.seq };
+  });
+
+  if (added > 0) {
+    pruneArticles();
+    articleSaver.schedule();
+  }
+  return recorded;
+}
+
+/**
+ * Stored articles first seen within [from, to] (epoch ms; either may be null)
+ */
+function getArticlesBetween(from, to) {
+  return Array.from(articles.values()).filter(article => {
+    const seen = Date.parse(article.first_seen_at);
+    return (!from || seen >= from) && (!to || seen <= to);
+  });
+}
+
+/**
+ * Read ?since= (ISO time), ?cursor= (from a previous response), ?client= (or the
+ * X-Client-Id header) and ?unread=true. Returns { view } or { error }.
+ */
+function parseView(req) {
+  const view = { since: null, cursor: null, client: req.query.client || req.get('X-Client-Id') || null, unread: false };
+
+  if (req.query.since) {
+    const time = Date.parse(req.query.since);
+    if (isNaN(time)) return { error: 'since must be an ISO date/time' };
+    view.since = new Date(time).toISOString();
+  }
+
+  if (req.query.cursor) {
+    view.cursor = parseInt(req.query.cursor, 36);
+    if (isNaN(view.cursor)) return { error: 'Invalid cursor' };
+  }
+
+  if (view.client && !/^[\w-]{1,64}$/.test(view.client)) {
+    return { error: 'client must be 1-64 letters, digits, _ or -' };
+  }
+
+  if (req.query.unread === 'true') {
+    if (!view.client) return { error: 'unread=true requires a client (?client= or X-Client-Id)' };
+    view.unread = true;
+  }
+
+  return { view };
+}
+
+/**
+ * Apply a view to a news response body: keep articles first seen after since/cursor,
+ * mark read state for the client and add the cursor to pass next time
+ */
+function applyView(body, view) {
+  if (!Array.isArray(body.articles)) return body;
+
+  const read = view.client ? readState[view.client] || {} : null;
+  const latest = body.articles.reduce((max, article) => Math.max(max, article.seq || 0), view.cursor || 0);
+
+  const visible = body.articles
+    .filter(article => !view.since || article.first_seen_at > view.since)
+    .filter(article => view.cursor === null || article.seq > view.cursor)
+    .map(article => (read ? { ...article, read: !!read[article.id] } : article))
+    .filter(article => !view.unread || !article.read);
+
+  return {
+    ...body,
+    articles: visible,
+    total: visible.length,
+    cursor: latest.toString(36)
+  };
+}
+
+/**
+ * Mark articles read (or unread) for a client. Unknown IDs are reported, not stored.
+ */
+function markRead(client, ids, read = true) {
+  const known = ids.filter(id => articles.has(id));
+  const unknown = ids.filter(id => !articles.has(id));
+
+  if (!readState[client]) readState[client] = {};
+  const marks = readState[client];
+  const now = new Date().toISOString();
+  known.forEach(id => {
+    if (read) marks[id] = now;
+    else delete marks[id];
+  });
+
+  // Oldest marks go first once a client passes the cap
+  const entries = Object.entries(marks);
+  if (entries.length > MAX_READ_PER_CLIENT) {
+    entries.sort((a, b) => a[1].localeCompare(b[1]))
+      .slice(0, entries.length - MAX_READ_PER_CLIENT)
+      .forEach(([id]) => delete marks[id]);
+  }
+  if (Object.keys(marks).length === 0) delete readState[client];
+
+  readSaver.schedule();
+  return { updated: known.length, unknown };
+}
+
+function getReadState(client) {
+  const marks = readState[client] || {};
+  return Object.entries(marks).map(([id, readAt]) => ({ id, read_at: readAt }));
+}
+
+module.exports = {
+  VIEW_PARAMS,
+  articleId,
+  recordArticles,
+  getArticlesBetween,
+  parseView,
+  applyView,
+  markRead,
+  getReadState
+};
@@ -0,0 +1,89 @@
+/**
+ * News Translation
+ * English translations of Bengali and Hindi headlines and descriptions through
+ * openai-text's translateText, cached per text
+ */
+
+const crypto = require('crypto');
+const { readJson, createSaver } = require('./json-store.cjs');
+const { translateText } = require('./openai-text.cjs');
+const { detectScriptLanguage } = require('./language.cjs');
+const { trimOldest, mapWithConcurrency } = require('./helpers.cjs');
+
+const CACHE_FILE = 'news-translations.json';
+const CACHE_TTL_MS = (parseInt(process.env.TRANSLATION_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_CACHED = parseInt(process.env.TRANSLATION_CACHE_MAX_ENTRIES) || 20000;
+// Articles translated per request; the rest are returned untranslated
+const MAX_PER_REQUEST = parseInt(process.env.TRANSLATE_MAX_PER_REQUEST) || 20;
+const CONCURRENCY = 4;
+
+// Hash of the source text -> { english, expires_at }
+const cache = new Map(Object.entries(readJson(CACHE_FILE, {}))
+  .filter(([, entry]) => entry.expires_at > Date.now()));
+// Hash -> pending translation, so concurrent requests share one call
+const pending = new Map();
+
+const saver = createSaver(CACHE_FILE, () => Object.fromEntries(cache));
+
+function textKey(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * English for a text, or null when it could not be translated. translateText hands
+ * the input back when OpenAI is not configured or the call fails; those are not cached.
+ */
+async function toEnglish(text) {
+  const key = textKey(text);
+  const cached = cache.get(key);
+  if (cached && cached.expires_at > Date.now()) return cached.english;
+
+  if (!pending.has(key)) {
+    pending.set(key, translateText(text).then(result => {
+      pending.delete(key);
+      const english = result.english && result.english !== text ? result.english : null;
+      if (english) {
+        cache.set(key, { english, expires_at: Date.now() + CACHE_TTL_MS });
+        trimOldest(cache, MAX_CACHED);
+        saver.schedule();
+      }
+      return english;
+    }));
+  }
+  return pending.get(key);
+}
+
+/**
+ * Article with title_en and description_en added when it is not already English.
+ * translated is false when the translation was unavailable.
+ */
+async function translateArticle(article) {
+  const language = article.language || detectScriptLanguage(article.title);
+  if (language === 'en' || language === 'und') return article;
+
+  const [title, description] = await Promise.all([
+    article.title ? toEnglish(article.title) : null,
+    article.description && article.description !== article.title ? toEnglish(article.description) : null
+  ]);
+
+  return {
+    ...article,
+    title_en: title,
+    // Google News descriptions often just repeat the headline
+    description_en: description || (article.description === article.title ? title : null),
+    translated: !!title
+  };
+}
+
+/**
+ * Translate the first `limit` articles (default TRANSLATE_MAX_PER_REQUEST), a few at a time
+ */
+async function translateArticles(articles, limit = MAX_PER_REQUEST) {
+  const translated = await mapWithConcurrency(articles.slice(0, limit), CONCURRENCY, translateArticle);
+  return [...translated, ...articles.slice(limit)];
+}
+
+module.exports = {
+  translateArticle,
+  translateArticles
+};
@@ -0,0 +1,112 @@
+/**
+ * OpenAI Text Services
+ * The shared OpenAI client and the GPT text calls built on it: translation of
+ * transcripts and headlines, and issue classification. Kept apart from the
+ * transcription service so the news modules can use them without loading it.
+ */
+
+const OpenAI = require('openai');
+
+// OpenAI GPT used for translation instead of rate-limited Google Translate
+let openai = null;
+
+/**
+ * Initialize OpenAI client
+ */
+function initOpenAI(apiKey) {
+  openai = new OpenAI({ apiKey });
+}
+
+/**
+ * The OpenAI client, or null when no key has been configured
+ */
+function getOpenAI() {
+  return openai;
+}
+
+/**
+ * Translate text to Hindi and English using OpenAI GPT
+ */
+async function translateText(bengaliText) {
+  const openai = getOpenAI();
+  if (!openai) {
+    return {
+      bengali: bengaliText,
+      hindi: bengaliText,
+      english: bengaliText
+    };
+  }
+
+  try {
+    const response = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a translator. Translate the given text to both Hindi and English. Return JSON format only: {"hindi": "translated hindi text", "english": "translated english text"}'
+        },
+        {
+          role: 'user',
+          content: bengaliText
+        }
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: 500
+    });
+
+    const result = JSON.parse(response.choices[0].message.content);
+    return {
+      bengali: bengaliText,
+      hindi: result.hindi || bengaliText,
+      english: result.english || bengaliText
+    };
+  } catch (error) {
+    console.error('Translation error:', error.message);
+    return {
+      bengali: bengaliText,
+      hindi: bengaliText,
+      english: bengaliText
+    };
+  }
+}
+
+/**
+ * Pick the issue categories ({ id, name }) a text is about using OpenAI GPT.
+ * Returns category IDs (possibly none), or null when OpenAI is not configured or the call fails.
+ */
+async function classifyIssuesText(text, categories) {
+  const openai = getOpenAI();
+  if (!openai) return null;
+
+  try {
+    const response = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        {
+          role: 'system',
+          content: `You classify West Bengal political news and speech by issue. Categories: ${categories.map(category => `${category.id} (${category.name})`).join(', ')}. Return JSON format only: {"issues": ["category id", ...]} with at most 3 IDs, or an empty list if none apply.`
+        },
+        {
+          role: 'user',
+          content: text
+        }
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: 100
+    });
+
+    const result = JSON.parse(response.choices[0].message.content);
+    const known = new Set(categories.map(category => category.id));
+    return (Array.isArray(result.issues) ? result.issues : []).filter(id => known.has(id));
+  } catch (error) {
+    console.error('Issue classification error:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  initOpenAI,
+  getOpenAI,
+  translateText,
+  classifyIssuesText
+};
@@ -0,0 +1,259 @@
+/**
+ * Reply Threads
+ * Rebuilds the reply tree under a tweet from its conversation, fetching missing
+ * intermediate tweets, with per-branch engagement and sentiment
+ */
+
+const { twitterRequest, searchRecentTweets } = require('./twitter-client.cjs');
+const { analyzeSentiment } = require('./content-analysis.cjs');
+const { engagementOf } = require('./helpers.cjs');
+
+const THREAD_TWEET_FIELDS = 'created_at,public_metrics,author_id,entities,in_reply_to_user_id,conversation_id,referenced_tweets';
+const THREAD_USER_FIELDS = 'name,username,profile_image_url,verified';
+const THREAD_EXPANSIONS = 'author_id,in_reply_to_user_id,referenced_tweets.id';
+
+// Tweet lookup accepts up to 100 IDs per call
+const LOOKUP_BATCH_SIZE = 100;
+
+// Rounds of ancestor fetching; each round can uncover another missing parent
+const MAX_LOOKUP_ROUNDS = 3;
+
+/**
+ * ID of the tweet this one replies to, if any
+ */
+function parentId(tweet) {
+  return (tweet.referenced_tweets || []).find(ref => ref.type === 'replied_to')?.id || null;
+}
+
+/**
+ * Look up tweets by ID in batches; returns { tweets, users, missing }
+ */
+async function lookupTweets(ids) {
+  const tweets = [];
+  const users = [];
+  const missing = [];
+
+  for (let i = 0; i < ids.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = ids.slice(i, i + LOOKUP_BATCH_SIZE);
+    const data = await twitterRequest('/tweets', {
+      ids: batch.join(','),
+      'tweet.fields': THREAD_TWEET_FIELDS,
+      'user.fields': THREAD_USER_FIELDS,
+      'expansions': 'author_id'
+    }, { priority: 'high' });
+
+    tweets.push(...(data.data || []));
+    users.push(...(data.includes?.users || []));
+    // Deleted, protected or suspended tweets come back as errors
+    (data.errors || []).forEach(error => {
+      if (error.resource_id) missing.push(error.resource_id);
+    });
+  }
+
+  return { tweets, users, missing };
+}
+
+/**
+ * Fetch the conversation under rootId and return { tweets, users, missing, meta }
+ * with every reachable ancestor of every reply loaded (or recorded as missing)
+ */
+async function loadConversation(rootId, options) {
+  const tweets = new Map();
+  const users = new Map();
+  const missing = new Set();
+
+  const addTweets = list => list.forEach(tweet => tweets.set(tweet.id, tweet));
+  const addUsers = list => list.forEach(user => users.set(user.id, user));
+
+  const conversation = await searchRecentTweets(`conversation_id:${rootId}`, {
+    ...options,
+    tweetFields: THREAD_TWEET_FIELDS,
+    userFields: THREAD_USER_FIELDS,
+    expansions: THREAD_EXPANSIONS
+  });
+
+  addTweets(conversation.data);
+  // referenced_tweets.id expansion often carries the parents already
+  addTweets((conversation.includes.tweets || []).filter(tweet => tweet.conversation_id === rootId || tweet.id === rootId));
+  addUsers(conversation.includes.users || []);
+
+  // Root tweet is not part of its own conversation search
+  const wanted = new Set([rootId]);
+  for (let round = 0; round < MAX_LOOKUP_ROUNDS; round++) {
+    tweets.forEach(tweet => {
+      const parent = parentId(tweet);
+      if (parent && !tweets.has(parent) && !missing.has(parent)) wanted.add(parent);
+    });
+    wanted.forEach(id => {
+      if (tweets.has(id)) wanted.delete(id);
+    });
+    if (wanted.size === 0) break;
+
+    const ids = Array.from(wanted);
+    wanted.clear();
+    const result = await lookupTweets(ids);
+    addTweets(result.tweets);
+    addUsers(result.users);
+    result.missing.forEach(id => missing.add(id));
+  }
+
+  return {
+    tweets,
+    users,
+    missing,
+    meta: conversation.meta
+  };
+}
+
+/**
+ * Turn a tweet into a tree node with its own sentiment
+ */
+function createNode(tweet, users) {
+  const author = users.get(tweet.author_id);
+  return {
+    id: tweet.id,
+    text: tweet.text,
+    author_id: tweet.author_id,
+    author: author ? { id: author.id, name: author.name, username: author.username, verified: author.verified } : null,
+    created_at: tweet.created_at,
+    public_metrics: tweet.public_metrics || {},
+    sentiment: analyzeSentiment(tweet.text || ''),
+    children: []
+  };
+}
+
+/**
+ * Placeholder for a parent tweet we could not load (deleted, protected or too old)
+ */
+function createMissingNode(id) {
+  return {
+    id,
+    missing: true,
+    text: null,
+    author_id: null,
+    author: null,
+    created_at: null,
+    public_metrics: {},
+    sentiment: null,
+    children: []
+  };
+}
+
+/**
+ * Fill in depth and branch totals (replies, engagement, sentiment) bottom-up,
+ * and order each node's children by branch engagement
+ */
+function summarizeBranch(node, depth) {
+  node.depth = depth;
+
+  const branch = {
+    replies: 0,
+    engagement: node.missing ? 0 : engagementOf(node.public_metrics),
+    sentiment_total: node.sentiment ? node.sentiment.score : 0,
+    scored: node.sentiment ? 1 : 0,
+    positive: node.sentiment?.label === 'positive' ? 1 : 0,
+    negative: node.sentiment?.label === 'negative' ? 1 : 0,
+    neutral: node.sentiment?.label === 'neutral' ? 1 : 0,
+    max_depth: depth
+  };
+
+  node.children.forEach(child => {
+    const childBranch = summarizeBranch(child, depth + 1);
+    branch.replies += childBranch.replies + (child.missing ? 0 : 1);
+    branch.engagement += childBranch.engagement;
+    branch.sentiment_total += childBranch.sentiment_total;
+    branch.scored += childBranch.scored;
+    branch.positive += childBranch.positive;
+    branch.negative += childBranch.negative;
+    branch.neutral += childBranch.neutral;
+    branch.max_depth = Math.max(branch.max_depth, childBranch.max_depth);
+  });
+
+  node.children.sort((a, b) => b.branch.engagement - a.branch.engagement);
+
+  const score = branch.scored > 0 ? branch.sentiment_total / branch.scored : 0;
+  node.branch = {
+    replies: branch.replies,
+    engagement: branch.engagement,
+    sentiment_score: Math.round(score * 100) / 100,
+    sentiment_label: score > 0.1 ? 'positive' : score < -0.1 ? 'negative' : 'neutral',
+    positive: branch.positive,
+    negative: branch.negative,
+    neutral: branch.neutral,
+    max_depth: branch.max_depth
+  };
+
+  return branch;
+}
+
+/**
+ * Build the nested reply tree for a tweet.
+ * Returns { thread, flat, includes, summary, meta }.
+ */
+async function buildReplyTree(rootId, options = {}) {
+  const conversation = await loadConversation(rootId, options);
+  const { tweets, users, missing } = conversation;
+
+  const nodes = new Map();
+  tweets.forEach(tweet => nodes.set(tweet.id, createNode(tweet, users)));
+
+  const root = nodes.get(rootId) || createMissingNode(rootId);
+  nodes.set(rootId, root);
+
+  // Attach each reply to its parent; unknown parents get a placeholder under the root
+  nodes.forEach(node => {
+    if (node.id === rootId) return;
+    const tweet = tweets.get(node.id);
+    if (!tweet || tweet.conversation_id !== rootId) return;
+
+    const parent = parentId(tweet) || rootId;
+    if (!nodes.has(parent)) {
+      const placeholder = createMissingNode(parent);
+      nodes.set(parent, placeholder);
+      root.children.push(placeholder);
+    }
+    nodes.get(parent).children.push(node);
+  });
+
+  summarizeBranch(root, 0);
+
+  // Top-level branches pulling the discussion negative, heaviest first
+  const negativeBranches = root.children
+    .filter(child => child.branch.sentiment_label === 'negative' || child.branch.negative > child.branch.positive)
+    .sort((a, b) => b.branch.engagement - a.branch.engagement)
+    .slice(0, 5)
+    .map(child => ({
+      id: child.id,
+      author: child.author?.username || null,
+      text: child.text,
+      ...child.branch
+    }));
+
+  const flat = Array.from(tweets.values())
+    .filter(tweet => tweet.id !== rootId && tweet.conversation_id === rootId);
+
+  return {
+    thread: root,
+    flat,
+    includes: { users: Array.from(users.values()) },
+    summary: {
+      total_replies: root.branch.replies,
+      max_depth: root.branch.max_depth,
+      top_level_branches: root.children.length,
+      missing_tweets: Array.from(missing),
+      sentiment: {
+        score: root.branch.sentiment_score,
+        label: root.branch.sentiment_label,
+        positive: root.branch.positive,
+        negative: root.branch.negative,
+        neutral: root.branch.neutral
+      },
+      negative_branches: negativeBranches
+    },
+    meta: conversation.meta
+  };
+}
+
+module.exports = {
+  buildReplyTree
+};
@@ -0,0 +1,258 @@
+/**
+ * Response Cache
+ * Per-route caching for the proxy endpoints with stale-while-revalidate,
+ * ETag/If-None-Match support and optional persistence across restarts
+ */
+
+const crypto = require('crypto');
+const { readJson, createSaver } = require('./json-store.cjs');
+
+const CACHE_FILE = 'response-cache.json';
+const PERSIST = process.env.CACHE_PERSIST === 'true';
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 1000;
+
+// Query parameters that never change the response
+const IGNORED_PARAMS = ['_', 'refresh', 'cb'];
+
+// Cache key -> { key, route, status, body, etag, createdAt, expiresAt, staleUntil, hits }
+const entries = new Map();
+
+// Cache key -> promise of a handler run in progress, so concurrent misses share one fetch
+const pending = new Map();
+
+const stats = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, notModified: 0 };
+
+const saver = PERSIST ? createSaver(CACHE_FILE, () => Array.from(entries.values()), 5000) : null;
+
+if (PERSIST) {
+  const now = Date.now();
+  readJson(CACHE_FILE, [])
+    .filter(entry => entry.staleUntil > now)
+    .forEach(entry => entries.set(entry.key, entry));
+  console.log(`[Cache] Restored ${entries.size} entries from disk`);
+}
+
+/**
+ * Build a cache key from the route path and its sorted, trimmed query parameters
+ * (minus any the route applies per request)
+ */
+function cacheKey(req, perRequestParams = []) {
+  const params = Object.keys(req.query)
+    .filter(key => !IGNORED_PARAMS.includes(key) && !perRequestParams.includes(key))
+    .sort()
+    .map(key => {
+      const value = Array.isArray(req.query[key]) ? req.query[key].join(',') : String(req.query[key]).trim();
+      return `${key.toLowerCase()}=${value}`;
+    });
+  return `${req.path}?${params.join('&')}`;
+}
+
+function computeEtag(body) {
+  return `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64').substring(0, 27)}"`;
+}
+
+/**
+ * Run a route handler against a capturing response instead of the real one
+ */
+function runHandler(handler, req) {
+  return new Promise((resolve, reject) => {
+    const captured = {
+      statusCode: 200,
+      headers: {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+      },
+      setHeader(name, value) {
+        return this.set(name, value);
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body, headers: this.headers });
+        return this;
+      },
+      send(body) {
+        return this.json(body);
+      }
+    };
+
+    Promise.resolve(handler(req, captured)).catch(reject);
+  });
+}
+
+/**
+ * Only successful, complete responses are worth caching
+ */
+function isCacheable(result) {
+  return result.status === 200 && result.body && result.body.success !== false;
+}
+
+function evictOverflow() {
+  if (entries.size <= MAX_ENTRIES) return;
+  const oldest = Array.from(entries.values()).sort((a, b) => a.createdAt - b.createdAt);
+  oldest.slice(0, entries.size - MAX_ENTRIES).forEach(entry => entries.delete(entry.key));
+}
+
+/**
+ * Run the handler once per key at a time and store a cacheable result
+ */
+function refresh(key, route, handler, req, options) {
+  if (pending.has(key)) return pending.get(key);
+
+  const promise = runHandler(handler, req)
+    .then(result => {
+      if (isCacheable(result)) {
+        const now = Date.now();
+        entries.set(key, {
+          key,
+          route,
+          status: result.status,
+          body: result.body,
+          etag: computeEtag(result.body),
+          createdAt: now,
+          expiresAt: now + options.ttl * 1000,
+          staleUntil: now + (options.ttl + options.staleTtl) * 1000,
+          hits: entries.get(key)?.hits || 0
+        });
+        evictOverflow();
+        if (saver) saver.schedule();
+      }
+      return result;
+    })
+    .finally(() => pending.delete(key));
+
+  pending.set(key, promise);
+  return promise;
+}
+
+/**
+ * Send a cached entry, answering 304 when the client already has it.
+ * personalize(body, req) derives this request's view of a shared entry.
+ */
+function sendEntry(req, res, entry, cacheStatus, personalize) {
+  const age = Math.floor((Date.now() - entry.createdAt) / 1000);
+
+  // Routes that report fromCache keep doing so
+  let body = cacheStatus !== 'MISS' && 'fromCache' in entry.body
+    ? { ...entry.body, fromCache: true }
+    : entry.body;
+  if (personalize) body = personalize(body, req);
+  const etag = personalize ? computeEtag(body) : entry.etag;
+
+  res.set('ETag', etag);
+  res.set('X-Cache', cacheStatus);
+  res.set('Age', String(age));
+
+  if (req.get('If-None-Match') === etag) {
+    stats.notModified++;
+    return res.status(304).end();
+  }
+  return res.status(entry.status).json(body);
+}
+
+/**
+ * Wrap a GET route handler with caching.
+ * options: { route: name shown in admin output, ttl: fresh seconds, staleTtl: seconds a stale copy may be served while revalidating,
+ *   perRequestParams: query parameters left out of the cache key and applied by personalize(body, req) on every response }
+ * Clients can bypass the cache with ?refresh=true or Cache-Control: no-cache.
+ */
+function withCache(options, handler) {
+  const settings = { staleTtl: 0, perRequestParams: [], ...options };
+  const { personalize } = settings;
+
+  return async (req, res) => {
+    const key = cacheKey(req, settings.perRequestParams);
+    const entry = entries.get(key);
+    const now = Date.now();
+    const bypass = req.query.refresh === 'true' || /no-cache/.test(req.get('Cache-Control') || '');
+
+    if (entry && !bypass) {
+      if (now < entry.expiresAt) {
+        entry.hits++;
+        stats.hits++;
+        return sendEntry(req, res, entry, 'HIT', personalize);
+      }
+
+      if (now < entry.staleUntil) {
+        entry.hits++;
+        stats.staleHits++;
+        stats.revalidations++;
+        refresh(key, settings.route, handler, req, settings).catch(error => {
+          console.error(`[Cache] Revalidation failed for ${key}:`, error.message);
+        });
+        return sendEntry(req, res, entry, 'STALE', personalize);
+      }
+    }
+
+    stats.misses++;
+    try {
+      const result = await refresh(key, settings.route, handler, req, settings);
+      const stored = entries.get(key);
+
+      if (stored && isCacheable(result)) {
+        return sendEntry(req, res, stored, 'MISS', personalize);
+      }
+
+      Object.keys(result.headers).forEach(name => res.set(name, result.headers[name]));
+      res.set('X-Cache', 'BYPASS');
+      return res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error(`[Cache] Handler failed for ${key}:`, error.message);
+      return res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+/**
+ * Summary of cached entries, optionally filtered by route name
+ */
+function listEntries(route) {
+  const now = Date.now();
+  return Array.from(entries.values())
+    .filter(entry => !route || entry.route === route)
+    .map(entry => ({
+      key: entry.key,
+      route: entry.route,
+      etag: entry.etag,
+      ageSeconds: Math.floor((now - entry.createdAt) / 1000),
+      freshForSeconds: Math.max(0, Math.floor((entry.expiresAt - now) / 1000)),
+      staleForSeconds: Math.max(0, Math.floor((entry.staleUntil - now) / 1000)),
+      state: now < entry.expiresAt ? 'fresh' : now < entry.staleUntil ? 'stale' : 'expired',
+      hits: entry.hits,
+      bytes: JSON.stringify(entry.body).length
+    }));
+}
+
+/**
+ * Remove entries by exact key, route name or key prefix; everything when no filter is given.
+ * Returns the number of entries removed.
+ */
+function purgeEntries({ key, route, prefix } = {}) {
+  let removed = 0;
+  Array.from(entries.values()).forEach(entry => {
+    const match = (!key && !route && !prefix) ||
+      (key && entry.key === key) ||
+      (route && entry.route === route) ||
+      (prefix && entry.key.startsWith(prefix));
+    if (match) {
+      entries.delete(entry.key);
+      removed++;
+    }
+  });
+  if (removed > 0 && saver) saver.schedule();
+  return removed;
+}
+
+function getCacheStats() {
+  return { entries: entries.size, maxEntries: MAX_ENTRIES, persisted: PERSIST, pending: pending.size, ...stats };
+}
+
+module.exports = {
+  withCache,
+  listEntries,
+  purgeEntries,
+  getCacheStats
+};
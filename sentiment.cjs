@@ -0,0 +1,365 @@
+/**
+ * Sentiment Analysis
+ * Lexicon-based scoring for headlines, articles, tweets and replies in English,
+ * Bengali and Hindi: tokenized matching (so "window" is not "win"), negation
+ * ("no violence"), intensifiers and contrast clauses, with a continuous score,
+ * a confidence and a separate score toward each party or leader mentioned.
+ * Word lists and entities are passed in; content-analysis.cjs loads them from config.
+ */
+
+const { detectScriptLanguage } = require('./language.cjs');
+const { round } = require('./helpers.cjs');
+
+// Scores above/below these are positive/negative
+const LABEL_THRESHOLD = 0.05;
+// Squashes the summed weights into (-1, 1); larger keeps single words further from the ends
+const NORMALIZATION_ALPHA = 15;
+
+const NEGATED_FACTOR = -0.75;
+const INTENSIFIED_FACTOR = 1.5;
+const DIMINISHED_FACTOR = 0.5;
+// Before a contrast ("X, but Y") the first clause counts less and the second more
+const BEFORE_CONTRAST_FACTOR = 0.5;
+const AFTER_CONTRAST_FACTOR = 1.5;
+
+// English negators precede what they negate; Bengali and Hindi ones mostly follow it
+const NEGATION_WINDOW_BEFORE = 3;
+const NEGATION_WINDOW_AFTER = 2;
+const MODIFIER_WINDOW = 2;
+// Sentiment counts toward an entity less the further it is from the mention
+const TARGET_DISTANCE_SCALE = 4;
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nor', 'none', 'nothing', 'without', 'neither', 'hardly', 'barely',
+  'না', 'নয়', 'নেই', 'নি', 'নাই', 'বিনা',
+  'नहीं', 'न', 'ना', 'मत', 'बिना'
+].map(word => word.normalize('NFC')));
+// Bengali past negatives are fused onto the verb (হয়নি, করেনি)
+const FUSED_NEGATION = /(?:েনি|য়নি)$/;
+
+const INTENSIFIERS = new Set([
+  'very', 'extremely', 'highly', 'hugely', 'massive', 'huge', 'major', 'strongly', 'deeply',
+  'completely', 'totally', 'utterly', 'really', 'so', 'most',
+  'খুব', 'অত্যন্ত', 'ভীষণ', 'প্রচণ্ড', 'ব্যাপক', 'বিরাট', 'চরম',
+  'बहुत', 'बेहद', 'अत्यंत', 'भारी', 'ज़बरदस्त', 'जबरदस्त'
+].map(word => word.normalize('NFC')));
+
+const DIMINISHERS = new Set([
+  'slightly', 'somewhat', 'partly', 'marginally', 'little',
+  'কিছুটা', 'সামান্য',
+  'थोड़ा', 'थोड़ी'
+].map(word => word.normalize('NFC')));
+
+const CONTRASTS = new Set([
+  'but', 'however', 'yet', 'although', 'though', 'while', 'whereas',
+  'কিন্তু', 'তবে', 'অথচ',
+  'लेकिन', 'परंतु', 'मगर', 'जबकि'
+].map(word => word.normalize('NFC')));
+
+// Words that make a context alias ("Shah", "Didi") count as the politician; an
+// entity's own context list is added to these
+const POLITICAL_CONTEXT = [
+  'election', 'elections', 'poll', 'polls', 'vote', 'votes', 'voter', 'voters', 'rally', 'campaign',
+  'minister', 'cm', 'mla', 'mp', 'party', 'leader', 'assembly', 'government', 'govt', 'opposition', 'candidate',
+  'নির্বাচন', 'ভোট', 'মন্ত্রী', 'মুখ্যমন্ত্রী', 'দল', 'সভা', 'প্রচার', 'বিধায়ক', 'সাংসদ', 'নেতা', 'নেত্রী', 'সরকার', 'বিরোধী',
+  'चुनाव', 'वोट', 'मंत्री', 'मुख्यमंत्री', 'पार्टी', 'रैली', 'प्रचार', 'विधायक', 'सांसद', 'नेता', 'सरकार', 'विपक्ष'
+].map(word => word.normalize('NFC'));
+
+// Case endings stripped from Bengali words before lookup (মমতার -> মমতা, হিংসায় -> হিংসা)
+const BENGALI_SUFFIXES = ['দের', 'গুলো', 'েরা', 'ের', 'রা', 'র', 'য়', 'এ', 'তে', 'কে', 'ে']
+  .map(suffix => suffix.normalize('NFC'));
+
+// Words (Latin with an optional 's / n't ending, Bengali, Devanagari without the danda) and clause breaks
+const TOKEN_PATTERN = /([a-z0-9]+(?:'[a-z]+)?)|([ঀ-৿‌‍]+)|([ऀ-ॣ०-ॿ‌‍]+)|([.!?;:|।॥\n])/g;
+
+/**
+ * Lowercased, NFC-normalized words with their script, clause index and offsets
+ * (start/end in the normalized text). Clauses break on sentence punctuation and
+ * before contrast words.
+ */
+function tokenize(text) {
+  const normalized = String(text || '').normalize('NFC').toLowerCase().replace(/[‘’]/g, "'");
+  const tokens = [];
+  let clause = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(normalized))) {
+    if (match[4]) {
+      clause++;
+      continue;
+    }
+    const word = match[0].replace(/[‌‍]/g, '');
+    if (!word) continue;
+    if (CONTRASTS.has(word)) clause++;
+    tokens.push({
+      word,
+      script: match[1] ? 'en' : match[2] ? 'bn' : 'hi',
+      clause,
+      contrast: CONTRASTS.has(word),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Forms a word is looked up under: itself, then without a possessive or a Bengali case ending
+ */
+function baseForms(token) {
+  const forms = [token.word];
+  if (token.script === 'en' && token.word.endsWith("'s")) {
+    forms.push(token.word.slice(0, -2));
+  } else if (token.script === 'bn') {
+    BENGALI_SUFFIXES.forEach(suffix => {
+      if (token.word.endsWith(suffix) && token.word.length - suffix.length >= 2) {
+        forms.push(token.word.slice(0, -suffix.length));
+      }
+    });
+  }
+  return forms;
+}
+
+function isNegator(token) {
+  return NEGATORS.has(token.word) || (token.script === 'en' && token.word.endsWith("n't")) ||
+    (token.script === 'bn' && FUSED_NEGATION.test(token.word));
+}
+
+/**
+ * Compile lexicons ({ language: { term: weight } }; "term*" matches any word starting
+ * with term, terms with spaces are phrases) into lookup tables
+ */
+function compileLexicons(lexicons) {
+  const words = new Map();
+  const prefixes = new Map();
+  // first word -> [{ words, weight }], longest first
+  const phrases = new Map();
+
+  Object.values(lexicons).forEach(lexicon => {
+    Object.entries(lexicon).forEach(([rawTerm, weight]) => {
+      const term = rawTerm.normalize('NFC').toLowerCase();
+      if (term.includes(' ')) {
+        const parts = tokenize(term).map(token => token.word);
+        if (!phrases.has(parts[0])) phrases.set(parts[0], []);
+        phrases.get(parts[0]).push({ words: parts, weight });
+      } else if (term.endsWith('*')) {
+        prefixes.set(term.slice(0, -1), weight);
+      } else {
+        words.set(term, weight);
+      }
+    });
+  });
+  phrases.forEach(list => list.sort((a, b) => b.words.length - a.words.length));
+
+  return { words, prefixes, phrases };
+}
+
+/**
+ * Compile entities ({ id, name, type, party?, aliases, contextAliases?, context? }) into
+ * first word -> candidate aliases. contextAliases are names too ambiguous to count on
+ * their own ("Shah", "Didi"); they only match alongside another entity or a context word.
+ */
+function compileEntities(entities) {
+  const byFirstWord = new Map();
+  const add = (entity, alias, needsContext) => {
+    const words = tokenize(alias).map(token => token.word);
+    if (words.length === 0) return;
+    if (!byFirstWord.has(words[0])) byFirstWord.set(words[0], []);
+    byFirstWord.get(words[0]).push({ words, entity, needsContext });
+  };
+
+  entities.forEach(entity => {
+    [entity.name, ...(entity.aliases || [])].forEach(alias => add(entity, alias, false));
+    (entity.contextAliases || []).forEach(alias => add(entity, alias, true));
+  });
+  // Longest first, and a plain alias before a context alias of the same length
+  byFirstWord.forEach(list => list.sort((a, b) => b.words.length - a.words.length || a.needsContext - b.needsContext));
+  return byFirstWord;
+}
+
+/**
+ * Entity ID -> context words (shared political terms plus the entity's own)
+ */
+function compileContext(entities) {
+  return new Map(entities.map(entity => [
+    entity.id,
+    new Set([...POLITICAL_CONTEXT, ...(entity.context || [])].map(word => word.normalize('NFC').toLowerCase()))
+  ]));
+}
+
+function wordWeight(token, lexicon) {
+  const forms = baseForms(token);
+  for (const form of forms) {
+    if (lexicon.words.has(form)) return { term: form, weight: lexicon.words.get(form) };
+  }
+  for (const form of forms) {
+    for (let length = form.length; length >= 3; length--) {
+      const prefix = form.slice(0, length);
+      if (lexicon.prefixes.has(prefix)) return { term: `${prefix}*`, weight: lexicon.prefixes.get(prefix) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Longest alias/phrase from a compiled table starting at tokens[index]. The last word
+ * of the match may carry a case ending. Returns { entry, length } or null.
+ */
+function matchSequence(tokens, index, table) {
+  const candidates = baseForms(tokens[index]).flatMap(form => table.get(form) || []);
+  for (const entry of candidates) {
+    const length = entry.words.length;
+    const matches = entry.words.every((word, offset) => {
+      const token = tokens[index + offset];
+      if (!token || token.clause !== tokens[index].clause) return false;
+      return offset === length - 1 || offset === 0 ? baseForms(token).includes(word) : token.word === word;
+    });
+    if (matches) return { entry, length };
+  }
+  return null;
+}
+
+function normalizeScore(sum) {
+  return sum === 0 ? 0 : sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+}
+
+function labelOf(score) {
+  if (score > LABEL_THRESHOLD) return 'positive';
+  if (score < -LABEL_THRESHOLD) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Confidence from how many sentiment words there were and how much they agree
+ */
+function confidenceOf(weights) {
+  if (weights.length === 0) return 0;
+  const positive = weights.filter(weight => weight > 0).reduce((sum, weight) => sum + weight, 0);
+  const negative = -weights.filter(weight => weight < 0).reduce((sum, weight) => sum + weight, 0);
+  const agreement = Math.abs(positive - negative) / (positive + negative);
+  const coverage = 1 - Math.exp(-weights.length / 2);
+  return round(agreement * coverage);
+}
+
+/**
+ * Build an analyzer from lexicons and entities.
+ * Returns analyze(text) -> { score, label, confidence, language, terms, targets, entities }
+ * where entities are the resolved mentions with their spans.
+ */
+function createAnalyzer({ lexicons, entities = [] }) {
+  const lexicon = compileLexicons(lexicons);
+  const entityTable = compileEntities(entities);
+  const contextWords = compileContext(entities);
+
+  return function analyze(text) {
+    // Spans are offsets into the NFC-normalized text
+    const source = String(text || '').normalize('NFC');
+    const tokens = tokenize(source);
+    const hits = [];
+    let mentions = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const mention = matchSequence(tokens, i, entityTable);
+      if (mention) {
+        mentions.push({
+          entity: mention.entry.entity,
+          index: i,
+          clause: tokens[i].clause,
+          needsContext: mention.entry.needsContext,
+          start: tokens[i].start,
+          end: tokens[i + mention.length - 1].end
+        });
+      }
+
+      const phrase = matchSequence(tokens, i, lexicon.phrases);
+      const found = phrase
+        ? { term: phrase.entry.words.join(' '), weight: phrase.entry.weight }
+        : (mention ? null : wordWeight(tokens[i], lexicon));
+      const span = phrase ? phrase.length : mention ? mention.length : 1;
+      if (!found) {
+        i += span - 1;
+        continue;
+      }
+
+      const clause = tokens[i].clause;
+      const sameClause = token => token && token.clause === clause;
+      const before = tokens.slice(Math.max(0, i - NEGATION_WINDOW_BEFORE), i).filter(sameClause);
+      const after = tokens.slice(i + span, i + span + NEGATION_WINDOW_AFTER).filter(sameClause);
+      const modifiers = tokens.slice(Math.max(0, i - MODIFIER_WINDOW), i).filter(sameClause);
+
+      let weight = found.weight;
+      if (modifiers.some(token => INTENSIFIERS.has(token.word))) weight *= INTENSIFIED_FACTOR;
+      else if (modifiers.some(token => DIMINISHERS.has(token.word))) weight *= DIMINISHED_FACTOR;
+
+      const negated = before.some(isNegator) || after.some(token => token.script !== 'en' && isNegator(token));
+      if (negated) weight *= NEGATED_FACTOR;
+
+      hits.push({ term: found.term, weight, index: i, clause, negated });
+      i += span - 1;
+    }
+
+    // Context aliases stand only when a plain mention or a context word backs them up
+    if (mentions.some(mention => mention.needsContext)) {
+      const confirmed = mentions.some(mention => !mention.needsContext);
+      const words = new Set(tokens.flatMap(baseForms));
+      mentions = mentions.filter(mention => !mention.needsContext || confirmed ||
+        Array.from(contextWords.get(mention.entity.id)).some(word => words.has(word)));
+    }
+
+    // A clause followed by a contrast counts less; the contrasting clause counts more
+    const contrastClauses = new Set(tokens.filter(token => token.contrast).map(token => token.clause));
+    hits.forEach(hit => {
+      if (contrastClauses.has(hit.clause)) hit.weight *= AFTER_CONTRAST_FACTOR;
+      else if (contrastClauses.has(hit.clause + 1)) hit.weight *= BEFORE_CONTRAST_FACTOR;
+    });
+
+    const score = normalizeScore(hits.reduce((sum, hit) => sum + hit.weight, 0));
+
+    // Each entity gets the sentiment of its own clauses, weighted by distance from the mention
+    const byEntity = new Map();
+    mentions.forEach(mention => {
+      if (!byEntity.has(mention.entity.id)) byEntity.set(mention.entity.id, { entity: mention.entity, mentions: 0, weights: [] });
+      const target = byEntity.get(mention.entity.id);
+      target.mentions++;
+      hits
+        .filter(hit => hit.clause === mention.clause)
+        .forEach(hit => target.weights.push(hit.weight / (1 + Math.abs(hit.index - mention.index) / TARGET_DISTANCE_SCALE)));
+    });
+
+    const targets = Array.from(byEntity.values()).map(({ entity, mentions: count, weights }) => {
+      const targetScore = normalizeScore(weights.reduce((sum, weight) => sum + weight, 0));
+      return {
+        id: entity.id,
+        name: entity.name,
+        type: entity.type,
+        party: entity.party || (entity.type === 'party' ? entity.id : null),
+        mentions: count,
+        score: round(targetScore, 3),
+        label: labelOf(targetScore),
+        confidence: confidenceOf(weights)
+      };
+    }).sort((a, b) => b.mentions - a.mentions);
+
+    return {
+      score: round(score, 3),
+      label: labelOf(score),
+      confidence: confidenceOf(hits.map(hit => hit.weight)),
+      language: detectScriptLanguage(text),
+      terms: hits.map(hit => (hit.negated ? `not ${hit.term}` : hit.term)),
+      targets,
+      entities: mentions.map(mention => ({
+        id: mention.entity.id,
+        text: source.slice(mention.start, mention.end),
+        start: mention.start,
+        end: mention.end
+      }))
+    };
+  };
+}
+
+module.exports = {
+  createAnalyzer,
+  tokenize,
+  baseForms
+};
@@ -7,8 +7,30 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const cors = require('cors');
-const { parseStringPromise } = require('xml2js');
 const { setupSocketIO, initOpenAI } = require('./transcription-service.cjs');
+const {
+  TWEET_FIELDS,
+  parseSearchOptions,
+  searchRecentTweets,
+  searchRecentTweetsMulti,
+  buildConfigQueries
+} = require('./twitter-client.cjs');
+const { parseLanguages, tweetLanguage } = require('./language.cjs');
+const { getRateLimitStatus } = require('./twitter-scheduler.cjs');
+const twitterStream = require('./twitter-stream.cjs');
+const tweetArchive = require('./tweet-archive.cjs');
+const responseCache = require('./response-cache.cjs');
+const { withCache } = responseCache;
+const monitoringProfiles = require('./monitoring-profiles.cjs');
+const constituencies = require('./constituencies.cjs');
+const constituencyNews = require('./constituency-news.cjs');
+const { fetchFeed } = require('./feed-fetcher.cjs');
+const { parseFeed } = require('./feed-parser.cjs');
+const articleEnrichment = require('./article-enrichment.cjs');
+const newsTranslation = require('./news-translation.cjs');
+const newsStore = require('./news-store.cjs');
+const { analyzeTweet, analyzeArticle } = require('./content-analysis.cjs');
+const alertRules = require('./alert-rules.cjs');
 
 // Use Render's PORT or default to 10000
 const PORT = process.env.PORT || 10000;
@@ -58,148 +80,369 @@ app.get('/health', (req, res) => {
 // TWITTER API ENDPOINTS (from twitter-proxy.cjs)
 // =====================================================
 const TWITTER_BEARER_TOKEN = process.env.VITE_TWITTER_BEARER_TOKEN;
-const TWITTER_API_BASE = 'https://api.twitter.com/2';
 
-const BJP_BENGAL_CONFIG = {
-  hashtags: ['#BJP', '#BJPBengal', '#BJP4Bengal', '#WestBengal', '#Kolkata', '#BengalPolitics', '#ModiInBengal', '#BJPWestBengal'],
-  keywords: ['BJP West Bengal', 'BJP Bengal', 'BJP Kolkata', 'Suvendu Adhikari', 'Sukanta Majumdar'],
-  accounts: ['BJP4Bengal', 'BJP4India']
-};
-
-async function twitterRequest(endpoint, params = {}) {
-  const url = new URL(`${TWITTER_API_BASE}${endpoint}`);
-  Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
+// Live tweets over Socket.IO (namespace /twitter on the same server)
+twitterStream.setupTwitterStream(io, monitoringProfiles.listProfiles());
 
-  const response = await fetch(url.toString(), {
-    headers: {
-      'Authorization': `Bearer ${TWITTER_BEARER_TOKEN}`,
-      'Content-Type': 'application/json'
-    }
-  });
+// Fired alerts over Socket.IO (namespace /alerts)
+alertRules.setupAlertSocket(io);
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Twitter API Error: ${response.status} - ${error}`);
+// Keep stream rules and cached feeds in step with profile edits
+monitoringProfiles.onProfileChange(() => {
+  responseCache.purgeEntries({ route: 'twitter-bjp-bengal' });
+  if (twitterStream.getStreamStatus().running) {
+    twitterStream.syncStreamRules(monitoringProfiles.listProfiles())
+      .catch(error => console.error('[Twitter Stream] Rule sync failed:', error.message));
   }
+});
 
-  return response.json();
-}
+// Twitter rate-limit budget
+app.get('/api/twitter/rate-limits', (req, res) => {
+  res.json({ success: true, ...getRateLimitStatus(), fetchedAt: new Date().toISOString() });
+});
 
-// BJP Bengal feed
-app.get('/api/twitter/bjp-bengal', async (req, res) => {
+// BJP Bengal feed (?lang=bn|hi|en|all, ?profile=)
+app.get('/api/twitter/bjp-bengal', withCache({ route: 'twitter-bjp-bengal', ttl: 120, staleTtl: 600 }, async (req, res) => {
   try {
-    const { max_results = 50 } = req.query;
-    const hashtagQuery = BJP_BENGAL_CONFIG.hashtags.slice(0, 5).join(' OR ');
-    const query = `(${hashtagQuery}) -is:retweet lang:en`;
-
-    const data = await twitterRequest('/tweets/search/recent', {
-      query: query,
-      max_results: Math.min(parseInt(max_results), 100),
-      'tweet.fields': 'created_at,public_metrics,author_id,entities',
-      'user.fields': 'name,username,profile_image_url',
-      'expansions': 'author_id'
+    const { options, error } = parseSearchOptions(req.query, 50);
+    if (error) return res.status(400).json({ error });
+
+    const { languages, error: langError } = parseLanguages(req.query.lang, 'en');
+    if (langError) return res.status(400).json({ error: langError });
+
+    const { profile, error: profileError } = monitoringProfiles.resolveProfile(req.query.profile);
+    if (profileError) return res.status(404).json({ error: profileError });
+
+    const queries = buildConfigQueries(profile, languages);
+    const data = await searchRecentTweetsMulti(queries, { ...options, tweetFields: `${TWEET_FIELDS},lang` });
+
+    const languageCounts = {};
+    const tweets = data.data.map(tweet => {
+      const detected = tweetLanguage(tweet);
+      languageCounts[detected.language] = (languageCounts[detected.language] || 0) + 1;
+      return { ...analyzeTweet(tweet), detected_language: detected.language, language_source: detected.source };
     });
+    tweetArchive.ingestTweets(data, 'bjp-bengal');
 
     res.json({
       success: true,
-      data: data.data || [],
-      includes: data.includes || {},
-      meta: data.meta || {},
+      data: tweets,
+      includes: data.includes,
+      meta: { ...data.meta, languages: languageCounts },
+      languages: languages.length > 0 ? languages : 'all',
+      profile: profile.id,
       fetchedAt: new Date().toISOString()
     });
   } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
     res.json({
       success: false,
       error: error.message,
-      rateLimited: error.message.includes('429'),
+      rateLimited: !!error.rateLimited,
       data: [],
       fetchedAt: new Date().toISOString()
     });
   }
-});
+}));
 
 // Twitter search
-app.get('/api/twitter/search', async (req, res) => {
+app.get('/api/twitter/search', withCache({ route: 'twitter-search', ttl: 60, staleTtl: 300 }, async (req, res) => {
   try {
-    const { query, max_results = 10 } = req.query;
+    const { query } = req.query;
     if (!query) return res.status(400).json({ error: 'Query parameter required' });
 
-    const data = await twitterRequest('/tweets/search/recent', {
-      query: `${query} -is:retweet`,
-      max_results: Math.min(parseInt(max_results), 100),
-      'tweet.fields': 'created_at,public_metrics,author_id,entities',
-      'user.fields': 'name,username,profile_image_url',
-      'expansions': 'author_id'
-    });
+    const { options, error } = parseSearchOptions(req.query);
+    if (error) return res.status(400).json({ error });
+
+    const data = await searchRecentTweets(`${query} -is:retweet`, options);
+    tweetArchive.ingestTweets(data, 'search');
+
+    res.json({ success: true, data: (data.data || []).map(analyzeTweet), includes: data.includes, meta: data.meta });
+  } catch (error) {
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited, data: [] });
+  }
+}));
+
+// =====================================================
+// MONITORING PROFILES
+// =====================================================
+app.get('/api/profiles', (req, res) => {
+  res.json({ success: true, profiles: monitoringProfiles.listProfiles() });
+});
+
+app.get('/api/profiles/:profileId', (req, res) => {
+  const profile = monitoringProfiles.getProfile(req.params.profileId);
+  if (!profile) return res.status(404).json({ error: `Monitoring profile not found: ${req.params.profileId}` });
+  res.json({ success: true, profile });
+});
+
+app.post('/api/profiles', (req, res) => {
+  const { profile, error, conflict } = monitoringProfiles.createProfile(req.body);
+  if (error) return res.status(conflict ? 409 : 400).json({ error });
+  res.status(201).json({ success: true, profile });
+});
+
+app.put('/api/profiles/:profileId', (req, res) => {
+  const { profile, error, notFound } = monitoringProfiles.updateProfile(req.params.profileId, req.body);
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  res.json({ success: true, profile });
+});
+
+app.delete('/api/profiles/:profileId', (req, res) => {
+  const { profile, error, notFound } = monitoringProfiles.deleteProfile(req.params.profileId);
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  res.json({ success: true, profile });
+});
+
+// =====================================================
+// TWITTER FILTERED STREAM
+// =====================================================
+app.get('/api/twitter/stream/status', (req, res) => {
+  res.json({ success: true, ...twitterStream.getStreamStatus() });
+});
+
+app.get('/api/twitter/stream/rules', async (req, res) => {
+  try {
+    const rules = await twitterStream.getStreamRules();
+    res.json({ success: true, rules });
+  } catch (error) {
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited, rules: [] });
+  }
+});
+
+// Add rules: { rules: [{ value, tag }] }
+app.post('/api/twitter/stream/rules', async (req, res) => {
+  const { rules } = req.body;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return res.status(400).json({ error: 'rules array required' });
+  }
+
+  try {
+    const added = await twitterStream.addStreamRules(rules);
+    res.json({ success: true, added });
+  } catch (error) {
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited });
+  }
+});
+
+// Delete rules: { ids: [...] }
+app.delete('/api/twitter/stream/rules', async (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'ids array required' });
+  }
+
+  try {
+    const deleted = await twitterStream.deleteStreamRules(ids);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited });
+  }
+});
 
-    res.json({ success: true, data: data.data || [], includes: data.includes || {}, meta: data.meta || {} });
+// Rebuild the profile-managed rules from the monitoring profiles
+app.post('/api/twitter/stream/rules/sync', async (req, res) => {
+  try {
+    const result = await twitterStream.syncStreamRules(monitoringProfiles.listProfiles());
+    res.json({ success: true, ...result });
   } catch (error) {
-    res.json({ success: false, error: error.message, data: [] });
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited });
   }
 });
 
 // =====================================================
 // RSS/NEWS PROXY ENDPOINTS
 // =====================================================
-app.get('/api/rss-proxy', async (req, res) => {
+// ?since=, ?cursor=, ?client= and ?unread=true are applied per request on top of the cached response
+const NEWS_VIEW = {
+  perRequestParams: newsStore.VIEW_PARAMS,
+  personalize: (body, req) => newsStore.applyView(body, newsStore.parseView(req).view)
+};
+
+function validateNewsView(req, res, next) {
+  const { error } = newsStore.parseView(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  next();
+}
+
+app.get('/api/rss-proxy', validateNewsView, withCache({ route: 'rss-proxy', ttl: 300, staleTtl: 1800, ...NEWS_VIEW }, async (req, res) => {
   try {
     const { url, keyword, constituency } = req.query;
 
-    let rssUrl;
+    // ?lang= picks the Google News editions searched for a keyword or constituency (default en, bn and hi)
+    const { languages, error: langError } = parseLanguages(req.query.lang);
+    if (langError) {
+      return res.status(400).json({ error: langError });
+    }
+
+    let feeds;
     if (url) {
-      rssUrl = decodeURIComponent(url);
-    } else if (keyword) {
-      const searchQuery = encodeURIComponent(`${keyword} West Bengal`);
-      rssUrl = `https://news.google.com/rss/search?q=${searchQuery}&hl=en-IN&gl=IN&ceid=IN:en`;
-    } else if (constituency) {
-      const searchQuery = encodeURIComponent(`${constituency} West Bengal politics`);
-      rssUrl = `https://news.google.com/rss/search?q=${searchQuery}&hl=en-IN&gl=IN&ceid=IN:en`;
+      // Express has already decoded the query; still accept a double-encoded URL
+      feeds = [{ url: /^https?%3A/i.test(url) ? decodeURIComponent(url) : url }];
+    } else if (keyword || constituency) {
+      feeds = constituencyNews.searchFeeds({ keyword, constituency }, languages.length ? languages : constituencyNews.DEFAULT_EDITIONS);
     } else {
       return res.status(400).json({ error: 'URL, keyword, or constituency parameter required' });
     }
 
-    const response = await fetch(rssUrl, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' }
-    });
-
-    if (!response.ok) throw new Error(`RSS fetch failed: ${response.status}`);
-
-    const xmlText = await response.text();
-    const result = await parseStringPromise(xmlText, { explicitArray: false });
-    const channel = result.rss?.channel;
+    // Allowlisted hosts only, private addresses blocked, size/time/content-type limits
+    const results = await Promise.allSettled(feeds.map(async ({ url: feedUrl, edition }) => {
+      const feed = await fetchFeed(feedUrl);
+      const isGoogleNews = new URL(feed.url).hostname === 'news.google.com';
+      // RSS 2.0, Atom or RSS 1.0/RDF
+      const parsed = await parseFeed(feed.text, { googleNews: isGoogleNews });
+      return { edition, isGoogleNews, parsed };
+    }));
+
+    // One edition failing still returns the others; all failing surfaces the first error
+    const fetched = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    if (fetched.length === 0) throw results[0].reason;
+    const { parsed, isGoogleNews } = fetched[0];
+
+    const items = fetched.flatMap(({ edition, parsed: editionFeed }) => editionFeed.items.slice(0, 10).map(item => ({
+      title: item.title,
+      description: item.description.substring(0, 200),
+      url: item.url,
+      source: item.source,
+      published_at: item.published_at || new Date().toISOString(),
+      image_url: item.image_url,
+      language: constituencyNews.articleLanguage(item.title, edition || 'und'),
+      edition
+    })));
+
+    if (items.length === 0) {
+      return res.json({ success: true, articles: [], format: parsed.format, message: 'No news found' });
+    }
+    items.sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
 
-    if (!channel) return res.json({ success: true, articles: [], message: 'No news found' });
+    let articles = newsStore.recordArticles(items);
 
-    let items = channel.item || [];
-    if (!Array.isArray(items)) items = [items];
+    // ?enrich=true resolves publisher links and adds page text, image, author and publish time
+    if (req.query.enrich === 'true') {
+      articles = await articleEnrichment.enrichArticles(articles);
+    }
 
-    const articles = items.slice(0, 10).map((item, index) => {
-      const titleParts = (item.title || '').split(' - ');
-      const source = titleParts.length > 1 ? titleParts.pop() : 'Google News';
-      const title = titleParts.join(' - ');
-      let description = (item.description || '').replace(/<[^>]*>/g, '').trim();
+    // ?translate=true adds English title_en/description_en to Bengali and Hindi articles
+    if (req.query.translate === 'true') {
+      articles = await newsTranslation.translateArticles(articles);
+    }
 
-      return {
-        id: `news_${Date.now()}_${index}`,
-        title: title || item.title,
-        description: description.substring(0, 200),
-        url: item.link || '',
-        source: source,
-        published_at: item.pubDate || new Date().toISOString(),
-        image_url: null
-      };
-    });
+    articles = articles.map(analyzeArticle);
+    alertRules.observeArticles(articles);
+    // Relevant results of a seat search also count towards that seat's news_volume rules
+    const seat = !url && !keyword ? constituencies.findConstituency(constituency) : null;
+    if (seat) {
+      alertRules.observeArticles(articles.filter(article =>
+        constituencyNews.scoreArticle(article, seat).score >= constituencyNews.DEFAULT_MIN_SCORE), seat.id);
+    }
 
     res.json({
       success: true,
       articles: articles,
       total: articles.length,
       fetchedAt: new Date().toISOString(),
-      source: 'google_news_rss'
+      format: parsed.format,
+      source: isGoogleNews ? 'google_news_rss' : 'rss_feed',
+      editions: fetched.map(result => result.edition).filter(Boolean),
+      failedEditions: results
+        .map((result, index) => (result.status === 'rejected' ? { edition: feeds[index].edition, error: result.reason.message } : null))
+        .filter(Boolean)
     });
   } catch (error) {
-    res.json({ success: false, error: error.message, articles: [], fetchedAt: new Date().toISOString() });
+    // Rejected URLs get a 4xx; upstream failures keep the 200 + success: false shape
+    res.status(error.status && error.status < 500 ? error.status : 200)
+      .json({ success: false, error: error.message, code: error.code, articles: [], fetchedAt: new Date().toISOString() });
+  }
+}));
+
+// Read state for a client (?client= or X-Client-Id)
+app.get('/api/news/read-state', (req, res) => {
+  const { view, error } = newsStore.parseView(req);
+  if (error || !view.client) {
+    return res.status(400).json({ error: error || 'client required (?client= or X-Client-Id)' });
+  }
+  const read = newsStore.getReadState(view.client);
+  res.json({ success: true, client: view.client, total: read.length, read });
+});
+
+// Mark articles read: { client?, ids: [...], read: true | false (default true) }
+app.post('/api/news/read-state', (req, res) => {
+  const client = req.body?.client || req.get('X-Client-Id');
+  if (!client || !/^[\w-]{1,64}$/.test(client)) {
+    return res.status(400).json({ error: 'client must be 1-64 letters, digits, _ or -' });
+  }
+  if (!Array.isArray(req.body.ids) || req.body.ids.length === 0) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of article IDs' });
+  }
+  if (req.body.read !== undefined && typeof req.body.read !== 'boolean') {
+    return res.status(400).json({ error: 'read must be a boolean' });
   }
+
+  const result = newsStore.markRead(client, req.body.ids.map(String), req.body.read !== false);
+  res.json({ success: true, client, ...result });
+});
+
+// =====================================================
+// ALERTS (the rules this process evaluates; see alert-rules.cjs for running one owner)
+// =====================================================
+// Only the process that owns alerting (ALERTS_ENABLED, see alert-rules.cjs) serves rules and history
+app.use('/api/alerts', (req, res, next) => {
+  if (!alertRules.ENABLED) {
+    return res.status(503).json({ error: 'Alerts are handled by another server (ALERTS_ENABLED=false)' });
+  }
+  next();
+});
+
+app.get('/api/alerts/rules', (req, res) => {
+  res.json({ success: true, data: alertRules.listRules() });
+});
+
+app.post('/api/alerts/rules', (req, res) => {
+  const { rule, error, conflict } = alertRules.createRule(req.body);
+  if (error) return res.status(conflict ? 409 : 400).json({ error });
+  res.status(201).json({ success: true, rule });
+});
+
+app.put('/api/alerts/rules/:ruleId', (req, res) => {
+  const { rule, error, notFound } = alertRules.updateRule(req.params.ruleId, req.body);
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  res.json({ success: true, rule });
+});
+
+app.delete('/api/alerts/rules/:ruleId', (req, res) => {
+  const { rule, error, notFound } = alertRules.deleteRule(req.params.ruleId);
+  if (error) return res.status(notFound ? 404 : 400).json({ error });
+  res.json({ success: true, rule });
+});
+
+app.get('/api/alerts', (req, res) => {
+  if (req.query.rule && !alertRules.getRule(req.query.rule)) {
+    return res.status(404).json({ error: `Alert rule not found: ${req.query.rule}` });
+  }
+  if (req.query.type && !alertRules.RULE_TYPES.includes(req.query.type)) {
+    return res.status(400).json({ error: `type must be one of ${alertRules.RULE_TYPES.join(', ')}` });
+  }
+  if (req.query.source && !alertRules.SOURCES.includes(req.query.source)) {
+    return res.status(400).json({ error: `source must be one of ${alertRules.SOURCES.join(', ')}` });
+  }
+  if (req.query.since && isNaN(Date.parse(req.query.since))) {
+    return res.status(400).json({ error: 'since must be an ISO 8601 date' });
+  }
+  res.json({ success: true, ...alertRules.getAlerts(req.query), fetchedAt: new Date().toISOString() });
+});
+
+// =====================================================
+// RESPONSE CACHE ADMIN
+// =====================================================
+app.get('/api/cache', (req, res) => {
+  res.json({ success: true, stats: responseCache.getCacheStats(), entries: responseCache.listEntries(req.query.route) });
+});
+
+app.delete('/api/cache', (req, res) => {
+  const { key, route, prefix } = req.query;
+  res.json({ success: true, removed: responseCache.purgeEntries({ key, route, prefix }) });
 });
 
 // =====================================================
@@ -236,6 +479,12 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`----------------------------------------`);
   console.log(`TRANSCRIPTION:`);
   console.log(`  WebSocket: ${wsUrl}/transcription`);
+  console.log(`LIVE TWEETS:`);
+  console.log(`  Socket.IO namespace /twitter (path /transcription)`);
+  console.log(`  Stream status: ${baseUrl}/api/twitter/stream/status`);
+  console.log(`ALERTS:`);
+  console.log(`  Socket.IO namespace /alerts (path /transcription)`);
+  console.log(`  Rules: ${baseUrl}/api/alerts/rules`);
   console.log(`========================================`);
   console.log(`Twitter Bearer: ${TWITTER_BEARER_TOKEN ? 'Configured' : 'NOT SET'}`);
   console.log(`OpenAI: ${process.env.OPENAI_API_KEY ? 'Configured' : 'NOT SET'}`);
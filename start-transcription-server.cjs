@@ -8,6 +8,7 @@ const express = require('express');
 const http = require('http');
 const cors = require('cors');
 const { setupSocketIO, initOpenAI } = require('./transcription-service.cjs');
+const alertRules = require('./alert-rules.cjs');
 
 // Use PORT (Render's default) or TRANSCRIPTION_PORT or fallback to 3002
 const PORT = process.env.PORT || process.env.TRANSCRIPTION_PORT || 3002;
@@ -34,6 +35,10 @@ const server = http.createServer(app);
 // Setup Socket.IO
 const io = setupSocketIO(server);
 
+// Alerts fired by transcript keyword rules (namespace /alerts); this server has no rules
+// API, so it evaluates the rules in its DATA_DIR unless ALERTS_ENABLED=false
+alertRules.setupAlertSocket(io);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'transcription' });
@@ -62,6 +67,7 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`========================================`);
   console.log(`Health: ${baseUrl}/health`);
   console.log(`WebSocket: ${wsUrl}/transcription`);
+  console.log(`Alerts: Socket.IO namespace /alerts (path /transcription)`);
   console.log(`========================================`);
 
   // Auto-initialize if env key exists
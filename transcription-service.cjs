@@ -6,12 +6,14 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
 const { Server } = require('socket.io');
-// OpenAI GPT used for translation instead of rate-limited Google Translate
+const { analyzeContent, getIssueCategories } = require('./content-analysis.cjs');
+const alertRules = require('./alert-rules.cjs');
+const { initOpenAI, getOpenAI, translateText, classifyIssuesText } = require('./openai-text.cjs');
 
 // Configuration
 const AUDIO_CHUNK_DURATION = 30; // seconds
+const ISSUE_LLM_FALLBACK = process.env.ISSUE_LLM_FALLBACK === 'true';
 const TEMP_DIR = path.join(__dirname, 'temp_audio');
 
 // Ensure temp directory exists
@@ -19,19 +21,9 @@ if (!fs.existsSync(TEMP_DIR)) {
   fs.mkdirSync(TEMP_DIR, { recursive: true });
 }
 
-// OpenAI client
-let openai = null;
-
 // Active transcription processes
 const activeTranscriptions = new Map();
 
-/**
- * Initialize OpenAI client
- */
-function initOpenAI(apiKey) {
-  openai = new OpenAI({ apiKey });
-}
-
 /**
  * Get YouTube live stream URL using yt-dlp
  * Supports both channel IDs (UC...) and handles (@channelname)
@@ -116,6 +108,7 @@ async function captureAudioChunk(streamUrl, outputPath, duration = AUDIO_CHUNK_D
  * Transcribe audio using OpenAI Whisper
  */
 async function transcribeAudio(audioPath) {
+  const openai = getOpenAI();
   if (!openai) {
     throw new Error('OpenAI not initialized');
   }
@@ -132,91 +125,6 @@ async function transcribeAudio(audioPath) {
   return transcription;
 }
 
-/**
- * Translate text to Hindi and English using OpenAI GPT
- */
-async function translateText(bengaliText) {
-  if (!openai) {
-    return {
-      bengali: bengaliText,
-      hindi: bengaliText,
-      english: bengaliText
-    };
-  }
-
-  try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a translator. Translate the given text to both Hindi and English. Return JSON format only: {"hindi": "translated hindi text", "english": "translated english text"}'
-        },
-        {
-          role: 'user',
-          content: bengaliText
-        }
-      ],
-      response_format: { type: 'json_object' },
-      max_tokens: 500
-    });
-
-    const result = JSON.parse(response.choices[0].message.content);
-    return {
-      bengali: bengaliText,
-      hindi: result.hindi || bengaliText,
-      english: result.english || bengaliText
-    };
-  } catch (error) {
-    console.error('Translation error:', error.message);
-    return {
-      bengali: bengaliText,
-      hindi: bengaliText,
-      english: bengaliText
-    };
-  }
-}
-
-/**
- * Detect BJP/TMC mentions and sentiment
- */
-function analyzeContent(text) {
-  const lowerText = text.toLowerCase();
-
-  // Extended BJP keywords
-  const bjpKeywords = [
-    'bjp', 'bharatiya janata', 'modi', 'narendra modi', 'pm modi',
-    'amit shah', 'sukanta', 'suvendu', 'adhikari', 'dilip ghosh',
-    'jp nadda', 'yogi', 'shah', 'saffron', 'lotus', 'kamal',
-    'বিজেপি', 'মোদি', 'অমিত শাহ', 'সুকান্ত', 'শুভেন্দু', 'দিলীপ ঘোষ',
-    'भाजपा', 'मोदी', 'अमित शाह', 'बीजेपी'
-  ];
-
-  // Extended TMC keywords
-  const tmcKeywords = [
-    'tmc', 'trinamool', 'mamata', 'banerjee', 'didi', 'abhishek',
-    'tmc', 'all india trinamool', 'grassroots', 'firhad hakim',
-    'partha chatterjee', 'anubrata', 'mondal', 'kunal ghosh',
-    'তৃণমূল', 'মমতা', 'দিদি', 'অভিষেক', 'বন্দ্যোপাধ্যায়',
-    'तृणमूल', 'ममता', 'दीदी', 'टीएमसी'
-  ];
-
-  const positiveWords = ['success', 'win', 'victory', 'growth', 'development', 'সাফল্য', 'উন্নয়ন', 'जीत', 'विकास'];
-  const negativeWords = ['fail', 'loss', 'defeat', 'crisis', 'scandal', 'ব্যর্থ', 'সংকট', 'हार', 'संकट'];
-
-  const bjpMention = bjpKeywords.some(k => lowerText.includes(k));
-  const tmcMention = tmcKeywords.some(k => lowerText.includes(k));
-
-  let sentiment = 'neutral';
-  const positiveCount = positiveWords.filter(w => lowerText.includes(w)).length;
-  const negativeCount = negativeWords.filter(w => lowerText.includes(w)).length;
-
-  if (positiveCount > negativeCount) sentiment = 'positive';
-  else if (negativeCount > positiveCount) sentiment = 'negative';
-
-  return { bjpMention, tmcMention, sentiment };
-}
-
 /**
  * Start continuous transcription for a channel
  */
@@ -256,8 +164,11 @@ async function startTranscription(channelId, io, filterPolitical = false) {
           // Translate
           const translations = await translateText(bengaliText.trim());
 
-          // Analyze
+          // Analyze; lines the keyword rules could not place can go to the LLM
           const analysis = analyzeContent(bengaliText);
+          if (analysis.issues.length === 0 && ISSUE_LLM_FALLBACK) {
+            analysis.issues = (await classifyIssuesText(translations.english, getIssueCategories())) || [];
+          }
 
           // Create transcript line
           const transcriptLine = {
@@ -267,14 +178,17 @@ async function startTranscription(channelId, io, filterPolitical = false) {
             ...analysis
           };
 
+          // Alert rules see every line, whatever the broadcast filter
+          alertRules.observeTranscript(transcriptLine, channelId);
+
           // Broadcast based on filter setting
-          const isPolitical = analysis.bjpMention || analysis.tmcMention;
+          const isPolitical = analysis.parties.length > 0;
 
           if (transcriptionState.filterPolitical) {
-            // Only broadcast political content (BJP/TMC mentions)
+            // Only broadcast political content (party or leader mentions)
             if (isPolitical) {
               io.emit('transcript', transcriptLine);
-              console.log(`[POLITICAL] ${analysis.bjpMention ? 'BJP' : ''}${analysis.tmcMention ? ' TMC' : ''}: ${transcriptLine.english.substring(0, 50)}...`);
+              console.log(`[POLITICAL] ${analysis.parties.join(' ').toUpperCase()}: ${transcriptLine.english.substring(0, 50)}...`);
             } else {
               console.log(`[SKIPPED] Non-political: ${transcriptLine.english.substring(0, 30)}...`);
             }
@@ -344,11 +258,11 @@ function setupSocketIO(server) {
     socket.on('start_transcription', async (data) => {
       const { channelId, openaiKey, filterPolitical = false } = data;
 
-      if (openaiKey && !openai) {
+      if (openaiKey && !getOpenAI()) {
         initOpenAI(openaiKey);
       }
 
-      if (!openai) {
+      if (!getOpenAI()) {
         socket.emit('error', { message: 'OpenAI API key required' });
         return;
       }
@@ -375,6 +289,5 @@ module.exports = {
   startTranscription,
   stopTranscription,
   getYouTubeLiveStreamUrl,
-  transcribeAudio,
-  translateText
+  transcribeAudio
 };
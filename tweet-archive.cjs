@@ -0,0 +1,311 @@
+/**
+ * Tweet Archive
+ * Keeps every tweet fetched by the proxy beyond the 7-day recent-search window,
+ * plus the collection pass the job scheduler runs for the monitored hashtags, keywords and accounts
+ */
+
+const { readJson, createSaver } = require('./json-store.cjs');
+const { searchRecentTweets, chunkQueryTerms } = require('./twitter-client.cjs');
+const alertRules = require('./alert-rules.cjs');
+
+const ARCHIVE_FILE = 'tweet-archive.json';
+const MAX_ARCHIVED_TWEETS = parseInt(process.env.MAX_ARCHIVED_TWEETS) || 50000;
+const COLLECT_PAGE_TOTAL = 200;
+const QUERY_LIMIT_MAX = 500;
+
+const stored = readJson(ARCHIVE_FILE, {});
+
+// Tweet ID -> archived tweet, user ID -> latest user object
+const tweets = new Map(Object.entries(stored.tweets || {}));
+const users = new Map(Object.entries(stored.users || {}));
+
+// Collector query key -> newest tweet ID seen, so each run only fetches new tweets
+const sinceIds = stored.sinceIds || {};
+// Collector query key -> { untilId, newestId } while a run's new tweets did not fit in one
+// pass: later runs page back from untilId to the since_id before since_id moves to newestId
+const backlogs = stored.backlogs || {};
+let lastCollection = stored.lastCollection || null;
+let collecting = false;
+
+const saver = createSaver(ARCHIVE_FILE, () => ({
+  tweets: Object.fromEntries(tweets),
+  users: Object.fromEntries(users),
+  sinceIds,
+  backlogs,
+  lastCollection
+}));
+
+/**
+ * Lowercased hashtags (without #) from a tweet's entities
+ */
+function extractHashtags(tweet) {
+  return (tweet.entities?.hashtags || []).map(tag => tag.tag.toLowerCase());
+}
+
+/**
+ * Drop the oldest tweets once the archive exceeds its size cap
+ */
+function pruneArchive() {
+  if (tweets.size <= MAX_ARCHIVED_TWEETS) return;
+
+  const sorted = Array.from(tweets.values())
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  sorted.slice(0, tweets.size - MAX_ARCHIVED_TWEETS).forEach(tweet => tweets.delete(tweet.id));
+}
+
+/**
+ * Store tweets and expanded users from a Twitter API payload.
+ * Existing tweets keep their first-archived time but take the latest metrics.
+ * Returns the number of tweets that were new to the archive.
+ */
+function ingestTweets(payload, source = 'proxy') {
+  const now = new Date().toISOString();
+  let added = 0;
+
+  (payload?.includes?.users || []).forEach(user => {
+    users.set(user.id, { ...users.get(user.id), ...user, updated_at: now });
+  });
+
+  (payload?.data || []).forEach(tweet => {
+    if (!tweet?.id) return;
+    const existing = tweets.get(tweet.id);
+
+    if (existing) {
+      tweets.set(tweet.id, {
+        ...existing,
+        ...tweet,
+        sources: existing.sources.includes(source) ? existing.sources : [...existing.sources, source],
+        metrics_updated_at: now
+      });
+      return;
+    }
+
+    tweets.set(tweet.id, {
+      ...tweet,
+      hashtags: extractHashtags(tweet),
+      sources: [source],
+      archived_at: now,
+      metrics_updated_at: now
+    });
+    added++;
+  });
+
+  if ((payload?.data || []).length > 0) {
+    pruneArchive();
+    saver.schedule();
+    alertRules.observeTweets(payload.data, payload.includes?.users);
+  }
+
+  return added;
+}
+
+/**
+ * Resolve an author filter (username or user ID) to a user ID
+ */
+function resolveAuthorId(author) {
+  const name = author.replace(/^@/, '').toLowerCase();
+  if (users.has(name)) return name;
+  for (const user of users.values()) {
+    if (user.username?.toLowerCase() === name) return user.id;
+  }
+  return name;
+}
+
+/**
+ * Query archived tweets.
+ * Filters: from, to, author, hashtag, q (text), min_likes, min_retweets,
+ * min_replies, min_quotes, min_impressions, sort (newest|oldest|engagement), limit, offset
+ */
+function queryTweets(filters = {}) {
+  const from = filters.from ? new Date(filters.from).getTime() : null;
+  const to = filters.to ? new Date(filters.to).getTime() : null;
+  const authorId = filters.author ? resolveAuthorId(filters.author) : null;
+  const hashtag = filters.hashtag ? filters.hashtag.replace(/^#/, '').toLowerCase() : null;
+  const text = filters.q ? filters.q.toLowerCase() : null;
+
+  const thresholds = {
+    like_count: parseInt(filters.min_likes) || 0,
+    retweet_count: parseInt(filters.min_retweets) || 0,
+    reply_count: parseInt(filters.min_replies) || 0,
+    quote_count: parseInt(filters.min_quotes) || 0,
+    impression_count: parseInt(filters.min_impressions) || 0
+  };
+
+  let results = Array.from(tweets.values()).filter(tweet => {
+    const created = new Date(tweet.created_at || tweet.archived_at).getTime();
+    if (from && created < from) return false;
+    if (to && created > to) return false;
+    if (authorId && tweet.author_id !== authorId) return false;
+    if (hashtag && !(tweet.hashtags || []).includes(hashtag)) return false;
+    if (text && !(tweet.text || '').toLowerCase().includes(text)) return false;
+
+    const metrics = tweet.public_metrics || {};
+    return Object.keys(thresholds).every(key => (metrics[key] || 0) >= thresholds[key]);
+  });
+
+  const engagement = tweet => {
+    const m = tweet.public_metrics || {};
+    return (m.like_count || 0) + (m.retweet_count || 0) + (m.reply_count || 0) + (m.quote_count || 0);
+  };
+
+  if (filters.sort === 'engagement') {
+    results.sort((a, b) => engagement(b) - engagement(a));
+  } else {
+    const direction = filters.sort === 'oldest' ? 1 : -1;
+    results.sort((a, b) => direction * (new Date(a.created_at) - new Date(b.created_at)));
+  }
+
+  const total = results.length;
+  const limit = Math.min(parseInt(filters.limit) || 50, QUERY_LIMIT_MAX);
+  const offset = parseInt(filters.offset) || 0;
+  results = results.slice(offset, offset + limit);
+
+  const authorIds = new Set(results.map(tweet => tweet.author_id));
+  return {
+    total,
+    limit,
+    offset,
+    data: results,
+    includes: {
+      users: Array.from(authorIds).filter(id => users.has(id)).map(id => users.get(id))
+    }
+  };
+}
+
+/**
+ * Archived tweets created within [from, to] (epoch ms; either may be null)
+ */
+function getTweetsBetween(from, to) {
+  return Array.from(tweets.values()).filter(tweet => {
+    const created = new Date(tweet.created_at || tweet.archived_at).getTime();
+    return (!from || created >= from) && (!to || created <= to);
+  });
+}
+
+/**
+ * Latest archived user object for an ID
+ */
+function getUser(id) {
+  return users.get(id) || null;
+}
+
+/**
+ * Archive size, date span and daily counts for the last 30 days
+ */
+function getArchiveStats() {
+  const byDay = {};
+  let oldest = null;
+  let newest = null;
+  const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+
+  tweets.forEach(tweet => {
+    const created = tweet.created_at || tweet.archived_at;
+    if (!oldest || created < oldest) oldest = created;
+    if (!newest || created > newest) newest = created;
+    if (new Date(created).getTime() >= cutoff) {
+      const day = created.slice(0, 10);
+      byDay[day] = (byDay[day] || 0) + 1;
+    }
+  });
+
+  return {
+    totalTweets: tweets.size,
+    totalUsers: users.size,
+    oldest,
+    newest,
+    byDay,
+    maxTweets: MAX_ARCHIVED_TWEETS,
+    lastCollection
+  };
+}
+
+/**
+ * Build collector queries for a monitoring profile, keyed by profile and term kind.
+ * Long term lists are split to fit the query length limit; the second and later
+ * parts get a :2, :3, ... suffix on the key.
+ */
+function buildCollectorQueries(profile) {
+  const queries = {};
+  const add = (kind, terms) => {
+    chunkQueryTerms(terms, '-is:retweet').forEach((query, index) => {
+      queries[index === 0 ? `${profile.id}:${kind}` : `${profile.id}:${kind}:${index + 1}`] = query;
+    });
+  };
+  add('hashtags', profile.hashtags || []);
+  add('keywords', (profile.keywords || []).map(keyword => `"${keyword}"`));
+  add('accounts', (profile.accounts || []).map(account => `from:${account}`));
+  return queries;
+}
+
+/**
+ * Fetch one pass of a collector query: new tweets since the last run, or the next part
+ * of a backlog left when more arrived than one pass takes. since_id only moves forward
+ * once everything after it has been archived.
+ */
+async function collectQuery(key, query) {
+  const backlog = backlogs[key];
+  const data = await searchRecentTweets(query, {
+    maxTotal: COLLECT_PAGE_TOTAL,
+    sinceId: sinceIds[key],
+    untilId: backlog?.untilId,
+    priority: 'low'
+  });
+  const added = ingestTweets(data, `collector:${key}`);
+  const newestId = backlog?.newestId || data.meta.newest_id;
+
+  // The first run for a query has no since_id to page back to and starts from the newest tweets
+  if (data.meta.truncated && sinceIds[key]) {
+    backlogs[key] = { untilId: data.meta.oldest_id, newestId };
+  } else {
+    delete backlogs[key];
+    if (newestId) sinceIds[key] = newestId;
+  }
+  return { fetched: data.data.length, added, backlog: !!backlogs[key] };
+}
+
+/**
+ * Run one collection pass over every profile's hashtags, keywords and accounts
+ */
+async function collectTweets(profiles) {
+  if (collecting) {
+    return { skipped: true, reason: 'Collection already running' };
+  }
+
+  collecting = true;
+  const summary = { startedAt: new Date().toISOString(), queries: {} };
+
+  try {
+    const queries = Object.assign({}, ...profiles.map(buildCollectorQueries));
+
+    for (const [key, query] of Object.entries(queries)) {
+      try {
+        summary.queries[key] = await collectQuery(key, query);
+      } catch (error) {
+        console.error(`[Tweet Archive] Collector error for ${key}:`, error.message);
+        // A since_id that has aged out of the recent-search window is rejected; start over
+        if (error.status === 400) {
+          delete sinceIds[key];
+          delete backlogs[key];
+        }
+        summary.queries[key] = { error: error.message, rateLimited: !!error.rateLimited };
+      }
+    }
+
+    summary.finishedAt = new Date().toISOString();
+    lastCollection = summary;
+    saver.schedule();
+    console.log('[Tweet Archive] Collection complete:', JSON.stringify(summary.queries));
+    return summary;
+  } finally {
+    collecting = false;
+  }
+}
+
+module.exports = {
+  ingestTweets,
+  queryTweets,
+  getTweetsBetween,
+  getUser,
+  getArchiveStats,
+  collectTweets
+};
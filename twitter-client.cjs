@@ -0,0 +1,361 @@
+/**
+ * Twitter API v2 Client
+ * Shared request helper and paginated recent search used by the proxy routes
+ */
+
+const { scheduleTwitterRequest } = require('./twitter-scheduler.cjs');
+
+const TWITTER_API_BASE = 'https://api.twitter.com/2';
+
+// Recent search accepts 10-100 results per page
+const SEARCH_PAGE_MIN = 10;
+const SEARCH_PAGE_MAX = 100;
+
+// Upper bound for server-side page walking (10 pages of 100)
+const SEARCH_TOTAL_MAX = parseInt(process.env.TWITTER_SEARCH_TOTAL_MAX) || 1000;
+
+// Search queries are limited to 512 characters on Basic (1024 on Pro)
+const QUERY_MAX_LENGTH = parseInt(process.env.TWITTER_QUERY_MAX_LENGTH) || 512;
+
+// Default fields requested for tweet search routes
+const TWEET_FIELDS = 'created_at,public_metrics,author_id,entities';
+const USER_FIELDS = 'name,username,profile_image_url,verified,public_metrics';
+const EXPANSIONS = 'author_id';
+
+function authHeaders() {
+  return {
+    'Authorization': `Bearer ${process.env.VITE_TWITTER_BEARER_TOKEN}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Make a Twitter API request through the rate-limit scheduler.
+ * options.priority is 'high' for interactive routes, 'low' for background jobs.
+ */
+async function twitterRequest(endpoint, params = {}, options = {}) {
+  const url = new URL(`${TWITTER_API_BASE}${endpoint}`);
+  Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
+
+  console.log(`[Twitter API] Fetching: ${url.toString()}`);
+
+  return scheduleTwitterRequest(endpoint, url.toString(), {
+    headers: authHeaders()
+  }, options);
+}
+
+/**
+ * POST a JSON body to the Twitter API through the scheduler
+ */
+async function twitterPost(endpoint, body, params = {}, options = {}) {
+  const url = new URL(`${TWITTER_API_BASE}${endpoint}`);
+  Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
+
+  console.log(`[Twitter API] Posting: ${url.toString()}`);
+
+  return scheduleTwitterRequest(endpoint, url.toString(), {
+    method: 'POST',
+    headers: authHeaders(),
+    body: JSON.stringify(body)
+  }, options);
+}
+
+/**
+ * Clamp a requested page size to what recent search accepts
+ */
+function clampPageSize(value, fallback = 10) {
+  const size = parseInt(value);
+  if (isNaN(size)) return fallback;
+  return Math.max(SEARCH_PAGE_MIN, Math.min(size, SEARCH_PAGE_MAX));
+}
+
+/**
+ * Read pagination and time-window options from a route's query string.
+ * Returns { options } or { error } when a parameter is invalid.
+ */
+function parseSearchOptions(query, defaultPageSize = 10) {
+  const options = {
+    maxResults: clampPageSize(query.max_results, defaultPageSize),
+    nextToken: query.next_token || query.pagination_token || undefined,
+    startTime: query.start_time || undefined,
+    endTime: query.end_time || undefined,
+    sinceId: query.since_id || undefined,
+    untilId: query.until_id || undefined,
+    maxTotal: undefined,
+    priority: 'high'
+  };
+
+  for (const key of ['start_time', 'end_time']) {
+    if (query[key] && isNaN(Date.parse(query[key]))) {
+      return { error: `${key} must be an ISO 8601 timestamp` };
+    }
+  }
+
+  for (const key of ['since_id', 'until_id']) {
+    if (query[key] && !/^\d+$/.test(query[key])) {
+      return { error: `${key} must be a numeric tweet ID` };
+    }
+  }
+
+  if (query.max_total !== undefined) {
+    const maxTotal = parseInt(query.max_total);
+    if (isNaN(maxTotal) || maxTotal < 1) {
+      return { error: 'max_total must be a positive number' };
+    }
+    options.maxTotal = Math.min(maxTotal, SEARCH_TOTAL_MAX);
+  }
+
+  return { options };
+}
+
+/**
+ * Build recent search request params from a query and options
+ */
+function buildSearchParams(query, options, pageSize, nextToken) {
+  const params = {
+    query,
+    max_results: pageSize,
+    'tweet.fields': options.tweetFields || TWEET_FIELDS,
+    'user.fields': options.userFields || USER_FIELDS,
+    'expansions': options.expansions || EXPANSIONS
+  };
+
+  if (nextToken) params.next_token = nextToken;
+  if (options.startTime) params.start_time = new Date(options.startTime).toISOString();
+  if (options.endTime) params.end_time = new Date(options.endTime).toISOString();
+  if (options.sinceId) params.since_id = options.sinceId;
+  if (options.untilId) params.until_id = options.untilId;
+
+  return params;
+}
+
+/**
+ * Merge an expansion array (users, tweets) into an accumulator, skipping duplicate IDs
+ */
+function mergeIncludes(target, includes = {}) {
+  Object.keys(includes).forEach(key => {
+    if (!Array.isArray(includes[key])) return;
+    const existing = target[key] || (target[key] = []);
+    const seen = new Set(existing.map(item => item.id));
+    includes[key].forEach(item => {
+      if (!item.id || !seen.has(item.id)) {
+        existing.push(item);
+        if (item.id) seen.add(item.id);
+      }
+    });
+  });
+  return target;
+}
+
+/**
+ * Search recent tweets.
+ * Without maxTotal this returns a single page and passes meta.next_token through.
+ * With maxTotal it walks pages until the total is reached or results run out.
+ */
+async function searchRecentTweets(query, options = {}) {
+  const maxResults = options.maxResults || SEARCH_PAGE_MIN;
+
+  if (!options.maxTotal) {
+    const data = await twitterRequest(
+      '/tweets/search/recent',
+      buildSearchParams(query, options, maxResults, options.nextToken),
+      { priority: options.priority }
+    );
+    return {
+      data: data.data || [],
+      includes: data.includes || {},
+      meta: data.meta || {}
+    };
+  }
+
+  const tweets = [];
+  const includes = {};
+  let nextToken = options.nextToken;
+  let pages = 0;
+  let newestId;
+
+  do {
+    const remaining = options.maxTotal - tweets.length;
+    const pageSize = clampPageSize(remaining, SEARCH_PAGE_MAX);
+
+    const page = await twitterRequest(
+      '/tweets/search/recent',
+      buildSearchParams(query, options, pageSize, nextToken),
+      { priority: options.priority }
+    );
+    pages++;
+
+    const pageTweets = page.data || [];
+    if (!newestId && page.meta?.newest_id) newestId = page.meta.newest_id;
+
+    tweets.push(...pageTweets.slice(0, remaining));
+    mergeIncludes(includes, page.includes);
+    nextToken = page.meta?.next_token;
+  } while (nextToken && tweets.length < options.maxTotal);
+
+  console.log(`[Twitter API] Walked ${pages} page(s), collected ${tweets.length} tweets`);
+
+  return {
+    data: tweets,
+    includes,
+    meta: {
+      result_count: tweets.length,
+      newest_id: newestId,
+      oldest_id: tweets.length ? tweets[tweets.length - 1].id : undefined,
+      next_token: nextToken,
+      pages,
+      truncated: !!nextToken
+    }
+  };
+}
+
+/**
+ * Split terms into OR-groups so each "(a OR b ...) suffix" fits within maxLength
+ */
+function chunkQueryTerms(terms, suffix, maxLength = QUERY_MAX_LENGTH) {
+  const groups = [];
+  let current = [];
+
+  terms.forEach(term => {
+    const candidate = [...current, term];
+    if (`(${candidate.join(' OR ')}) ${suffix}`.length > maxLength && current.length > 0) {
+      groups.push(current);
+      current = [term];
+    } else {
+      current = candidate;
+    }
+  });
+  if (current.length > 0) groups.push(current);
+
+  return groups.map(group => `(${group.join(' OR ')}) ${suffix}`);
+}
+
+/**
+ * Query operator restricting results to the given languages (empty = any language)
+ */
+function languageClause(languages) {
+  if (!languages || languages.length === 0) return '';
+  if (languages.length === 1) return `lang:${languages[0]}`;
+  return `(${languages.map(lang => `lang:${lang}`).join(' OR ')})`;
+}
+
+/**
+ * Build search queries from a monitoring config's hashtags and keywords
+ * (plus its localizedKeywords for the selected languages), split to fit the
+ * query length limit and restricted to those languages
+ */
+function buildConfigQueries(config, languages = []) {
+  const localized = config.localizedKeywords || {};
+  const localizedTerms = (languages.length > 0 ? languages : Object.keys(localized))
+    .flatMap(lang => localized[lang] || []);
+
+  const terms = [
+    ...(config.hashtags || []),
+    ...(config.keywords || []).map(keyword => `"${keyword}"`),
+    ...localizedTerms.map(keyword => `"${keyword}"`)
+  ];
+
+  const suffix = `-is:retweet ${languageClause(languages)}`.trim();
+  return chunkQueryTerms(terms, suffix);
+}
+
+/**
+ * Encode per-query next_tokens into a single cursor for multi-query routes
+ */
+function encodeCursor(tokens) {
+  if (!tokens.some(Boolean)) return undefined;
+  return Buffer.from(JSON.stringify(tokens)).toString('base64url');
+}
+
+/**
+ * Decode a multi-query cursor; returns null when it is not one of ours
+ */
+function decodeCursor(cursor, queryCount) {
+  try {
+    const tokens = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(tokens) || tokens.length !== queryCount) return null;
+    return tokens;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run several recent searches and merge them into one newest-first, de-duplicated result.
+ * The page size (or maxTotal) is shared across the queries, and meta.next_token is a
+ * combined cursor that resumes every query that still has results.
+ */
+async function searchRecentTweetsMulti(queries, options = {}) {
+  let tokens = new Array(queries.length).fill(undefined);
+  if (options.nextToken) {
+    tokens = decodeCursor(options.nextToken, queries.length);
+    if (!tokens) {
+      const error = new Error('Invalid next_token for this query');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  // With a cursor, only queries that still have pages are resumed
+  const active = queries
+    .map((query, index) => ({ query, index, token: tokens[index] }))
+    .filter(item => !options.nextToken || item.token);
+
+  const share = count => Math.ceil(count / Math.max(active.length, 1));
+  const results = await Promise.all(active.map(item => searchRecentTweets(item.query, {
+    ...options,
+    nextToken: item.token,
+    maxResults: clampPageSize(share(options.maxResults || SEARCH_PAGE_MIN)),
+    maxTotal: options.maxTotal ? share(options.maxTotal) : undefined
+  })));
+
+  const seen = new Set();
+  const tweets = [];
+  const includes = {};
+  const nextTokens = new Array(queries.length).fill(undefined);
+
+  results.forEach((result, i) => {
+    result.data.forEach(tweet => {
+      if (seen.has(tweet.id)) return;
+      seen.add(tweet.id);
+      tweets.push(tweet);
+    });
+    mergeIncludes(includes, result.includes);
+    nextTokens[active[i].index] = result.meta.next_token;
+  });
+
+  tweets.sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+
+  return {
+    data: tweets,
+    includes,
+    meta: {
+      result_count: tweets.length,
+      newest_id: tweets.length ? tweets[0].id : undefined,
+      oldest_id: tweets.length ? tweets[tweets.length - 1].id : undefined,
+      next_token: encodeCursor(nextTokens),
+      queries: active.map((item, i) => ({
+        query: item.query,
+        result_count: results[i].data.length,
+        next_token: results[i].meta.next_token
+      }))
+    }
+  };
+}
+
+module.exports = {
+  TWITTER_API_BASE,
+  TWEET_FIELDS,
+  USER_FIELDS,
+  EXPANSIONS,
+  authHeaders,
+  twitterRequest,
+  twitterPost,
+  clampPageSize,
+  parseSearchOptions,
+  searchRecentTweets,
+  searchRecentTweetsMulti,
+  chunkQueryTerms,
+  languageClause,
+  buildConfigQueries
+};
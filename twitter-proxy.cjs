@@ -1,11 +1,52 @@
 const express = require('express');
+const http = require('http');
 const cors = require('cors');
-const { parseStringPromise } = require('xml2js');
+const { Server } = require('socket.io');
 require('dotenv').config();
+const {
+  TWEET_FIELDS,
+  twitterRequest,
+  parseSearchOptions,
+  searchRecentTweets,
+  searchRecentTweetsMulti,
+  buildConfigQueries
+} = require('./twitter-client.cjs');
+const { parseLanguages, tweetLanguage } = require('./language.cjs');
+const { initOpenAI } = require('./openai-text.cjs');
+const { getRateLimitStatus } = require('./twitter-scheduler.cjs');
+const tweetArchive = require('./tweet-archive.cjs');
+const responseCache = require('./response-cache.cjs');
+const { withCache } = responseCache;
+const monitoringProfiles = require('./monitoring-profiles.cjs');
+const constituencies = require('./constituencies.cjs');
+const constituencyNews = require('./constituency-news.cjs');
+const { fetchFeed } = require('./feed-fetcher.cjs');
+const { parseFeed } = require('./feed-parser.cjs');
+const articleEnrichment = require('./article-enrichment.cjs');
+const newsTranslation = require('./news-translation.cjs');
+const newsStore = require('./news-store.cjs');
+const newsOutlets = require('./news-outlets.cjs');
+const heatmapHistory = require('./heatmap-history.cjs');
+const newsCollector = require('./news-collector.cjs');
+const jobScheduler = require('./job-scheduler.cjs');
+const { analyzeTweet, analyzeArticle, getEntities } = require('./content-analysis.cjs');
+const entityMentions = require('./entity-mentions.cjs');
+const alertRules = require('./alert-rules.cjs');
+const { buildReplyTree } = require('./reply-threads.cjs');
+const accountAnalytics = require('./account-analytics.cjs');
+const influencerRanking = require('./influencer-ranking.cjs');
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3001;
 
+// Fired alerts over Socket.IO (namespace /alerts), on the same path as the combined server
+const io = new Server(server, {
+  cors: { origin: '*', methods: ['GET', 'POST'] },
+  path: '/transcription'
+});
+alertRules.setupAlertSocket(io);
+
 // CORS configuration - Allow Vercel deployments and local development
 app.use(cors({
   origin: [
@@ -22,36 +63,17 @@ app.use(express.json());
 
 // Twitter API Configuration
 const TWITTER_BEARER_TOKEN = process.env.VITE_TWITTER_BEARER_TOKEN;
-const TWITTER_API_BASE = 'https://api.twitter.com/2';
-
-// BJP Bengal specific queries
-const BJP_BENGAL_CONFIG = {
-  hashtags: ['#BJP', '#BJPBengal', '#BJP4Bengal', '#WestBengal', '#Kolkata', '#BengalPolitics', '#ModiInBengal', '#BJPWestBengal'],
-  keywords: ['BJP West Bengal', 'BJP Bengal', 'BJP Kolkata', 'Suvendu Adhikari', 'Sukanta Majumdar'],
-  accounts: ['BJP4Bengal', 'BJP4India']
-};
-
-// Helper function to make Twitter API requests
-async function twitterRequest(endpoint, params = {}) {
-  const url = new URL(`${TWITTER_API_BASE}${endpoint}`);
-  Object.keys(params).forEach(key => url.searchParams.append(key, params[key]));
-
-  console.log(`[Twitter API] Fetching: ${url.toString()}`);
-
-  const response = await fetch(url.toString(), {
-    headers: {
-      'Authorization': `Bearer ${TWITTER_BEARER_TOKEN}`,
-      'Content-Type': 'application/json'
-    }
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    console.error(`[Twitter API] Error: ${response.status} - ${error}`);
-    throw new Error(`Twitter API Error: ${response.status} - ${error}`);
-  }
-
-  return response.json();
+const ARCHIVE_COLLECT_INTERVAL = (parseInt(process.env.ARCHIVE_COLLECT_INTERVAL_MINUTES) || 15) * 60 * 1000;
+const ACCOUNT_SNAPSHOT_INTERVAL = (parseInt(process.env.ACCOUNT_SNAPSHOT_INTERVAL_MINUTES) || 360) * 60 * 1000;
+const NEWS_OUTLET_POLL_INTERVAL = (parseInt(process.env.NEWS_OUTLET_POLL_INTERVAL_MINUTES) || 30) * 60 * 1000;
+// A full pass is 3-4 Google News searches for each of the 294 seats
+const NEWS_COLLECT_INTERVAL = (parseInt(process.env.NEWS_COLLECT_INTERVAL_MINUTES) || 180) * 60 * 1000;
+// Upper bound on conversation tweets pulled to rebuild a reply tree
+const REPLY_TREE_MAX_TWEETS = parseInt(process.env.REPLY_TREE_MAX_TWEETS) || 300;
+
+// ?translate=true on the news routes translates through the transcription service's OpenAI client
+if (process.env.OPENAI_API_KEY) {
+  initOpenAI(process.env.OPENAI_API_KEY);
 }
 
 // Health check endpoint
@@ -59,116 +81,151 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    bearerTokenConfigured: !!TWITTER_BEARER_TOKEN
+    bearerTokenConfigured: !!TWITTER_BEARER_TOKEN,
+    scheduler: jobScheduler.getSchedulerStatus()
   });
 });
 
-// BJP Bengal combined feed - Fetches up to 50 tweets per request
-app.get('/api/twitter/bjp-bengal', async (req, res) => {
+// Twitter rate-limit budget and request queue status
+app.get('/api/twitter/rate-limits', (req, res) => {
+  res.json({
+    success: true,
+    ...getRateLimitStatus(),
+    fetchedAt: new Date().toISOString()
+  });
+});
+
+// BJP Bengal combined feed - Fetches up to 50 tweets per page, or walks pages with max_total.
+// ?lang=bn|hi|en|all (or a comma list) selects languages; defaults to English.
+// ?profile= builds the query from a monitoring profile instead of the default one.
+app.get('/api/twitter/bjp-bengal', withCache({ route: 'twitter-bjp-bengal', ttl: 120, staleTtl: 600 }, async (req, res) => {
   try {
-    const { max_results = 50 } = req.query;
+    const { options, error } = parseSearchOptions(req.query, 50);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Build search query for BJP Bengal
-    const hashtagQuery = BJP_BENGAL_CONFIG.hashtags.slice(0, 5).join(' OR ');
-    const query = `(${hashtagQuery}) -is:retweet lang:en`;
+    const { languages, error: langError } = parseLanguages(req.query.lang, 'en');
+    if (langError) {
+      return res.status(400).json({ error: langError });
+    }
 
-    console.log(`[BJP Bengal] Search query: ${query}`);
-    console.log(`[BJP Bengal] Requesting ${max_results} tweets`);
+    const { profile, error: profileError } = monitoringProfiles.resolveProfile(req.query.profile);
+    if (profileError) {
+      return res.status(404).json({ error: profileError });
+    }
 
-    const data = await twitterRequest('/tweets/search/recent', {
-      query: query,
-      max_results: Math.min(parseInt(max_results), 100), // Twitter API max is 100
-      'tweet.fields': 'created_at,public_metrics,author_id,entities',
-      'user.fields': 'name,username,profile_image_url',
-      'expansions': 'author_id'
+    // Full hashtag and keyword sets, split into as many queries as the length limit needs
+    const queries = buildConfigQueries(profile, languages);
+
+    console.log(`[BJP Bengal] ${queries.length} search queries for languages: ${languages.join(',') || 'all'}`);
+    console.log(`[BJP Bengal] Requesting ${options.maxTotal || options.maxResults} tweets`);
+
+    const data = await searchRecentTweetsMulti(queries, {
+      ...options,
+      tweetFields: `${TWEET_FIELDS},lang`
     });
 
-    console.log(`[BJP Bengal] Fetched ${data.data?.length || 0} tweets`);
+    // Tag each tweet with its language, party mentions and sentiment, and count languages
+    const languageCounts = {};
+    const tweets = data.data.map(tweet => {
+      const detected = tweetLanguage(tweet);
+      languageCounts[detected.language] = (languageCounts[detected.language] || 0) + 1;
+      return { ...analyzeTweet(tweet), detected_language: detected.language, language_source: detected.source };
+    });
+
+    console.log(`[BJP Bengal] Fetched ${tweets.length} tweets`);
+    tweetArchive.ingestTweets(data, 'bjp-bengal');
 
     res.json({
       success: true,
-      data: data.data || [],
-      includes: data.includes || {},
-      meta: data.meta || {},
+      data: tweets,
+      includes: data.includes,
+      meta: { ...data.meta, languages: languageCounts },
+      languages: languages.length > 0 ? languages : 'all',
+      profile: profile.id,
       fromCache: false,
       fetchedAt: new Date().toISOString()
     });
   } catch (error) {
     console.error('[BJP Bengal] Error:', error.message);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     // Return 200 with error info so frontend can handle gracefully
     res.json({
       success: false,
       error: error.message,
-      rateLimited: error.message.includes('429'),
+      rateLimited: !!error.rateLimited,
       data: [],
       meta: { result_count: 0 },
       fetchedAt: new Date().toISOString()
     });
   }
-});
+}));
 
 // Search tweets by query
-app.get('/api/twitter/search', async (req, res) => {
+app.get('/api/twitter/search', withCache({ route: 'twitter-search', ttl: 60, staleTtl: 300 }, async (req, res) => {
   try {
-    const { query, max_results = 10 } = req.query;
+    const { query } = req.query;
 
     if (!query) {
       return res.status(400).json({ error: 'Query parameter required' });
     }
 
-    const data = await twitterRequest('/tweets/search/recent', {
-      query: `${query} -is:retweet`,
-      max_results: Math.min(parseInt(max_results), 100),
-      'tweet.fields': 'created_at,public_metrics,author_id,entities',
-      'user.fields': 'name,username,profile_image_url',
-      'expansions': 'author_id'
-    });
+    const { options, error } = parseSearchOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const data = await searchRecentTweets(`${query} -is:retweet`, options);
+    tweetArchive.ingestTweets(data, 'search');
 
     res.json({
       success: true,
-      data: data.data || [],
-      includes: data.includes || {},
-      meta: data.meta || {}
+      data: (data.data || []).map(analyzeTweet),
+      includes: data.includes,
+      meta: data.meta
     });
   } catch (error) {
     console.error('[Search] Error:', error.message);
-    res.json({ success: false, error: error.message, rateLimited: error.message.includes('429'), data: [] });
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited, data: [] });
   }
-});
+}));
 
 // Search by hashtag
-app.get('/api/twitter/hashtags', async (req, res) => {
+app.get('/api/twitter/hashtags', withCache({ route: 'twitter-hashtags', ttl: 60, staleTtl: 300 }, async (req, res) => {
   try {
-    const { hashtag, max_results = 10 } = req.query;
+    const { hashtag } = req.query;
 
     if (!hashtag) {
       return res.status(400).json({ error: 'Hashtag parameter required' });
     }
 
+    const { options, error } = parseSearchOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     const query = hashtag.startsWith('#') ? hashtag : `#${hashtag}`;
 
-    const data = await twitterRequest('/tweets/search/recent', {
-      query: `${query} -is:retweet`,
-      max_results: Math.min(parseInt(max_results), 100),
-      'tweet.fields': 'created_at,public_metrics,author_id,entities',
-      'user.fields': 'name,username,profile_image_url',
-      'expansions': 'author_id'
-    });
+    const data = await searchRecentTweets(`${query} -is:retweet`, options);
+    tweetArchive.ingestTweets(data, 'hashtags');
 
     res.json({
       success: true,
-      data: data.data || [],
-      includes: data.includes || {},
-      meta: data.meta || {}
+      data: (data.data || []).map(analyzeTweet),
+      includes: data.includes,
+      meta: data.meta
     });
   } catch (error) {
     console.error('[Hashtags] Error:', error.message);
-    res.json({ success: false, error: error.message, rateLimited: error.message.includes('429'), data: [] });
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited, data: [] });
   }
-});
+}));
 
 // Get user tweets
-app.get('/api/twitter/user-tweets', async (req, res) => {
+app.get('/api/twitter/user-tweets', withCache({ route: 'twitter-user-tweets', ttl: 300, staleTtl: 900 }, async (req, res) => {
   try {
     const { username } = req.query;
 
@@ -179,7 +236,7 @@ app.get('/api/twitter/user-tweets', async (req, res) => {
     // First get user ID
     const userData = await twitterRequest(`/users/by/username/${username}`, {
       'user.fields': 'name,username,profile_image_url,public_metrics'
-    });
+    }, { priority: 'high' });
 
     if (!userData.data) {
       return res.status(404).json({ error: 'User not found' });
@@ -190,26 +247,41 @@ app.get('/api/twitter/user-tweets', async (req, res) => {
     // Get user tweets
     const tweetsData = await twitterRequest(`/users/${userId}/tweets`, {
       max_results: 10,
-      'tweet.fields': 'created_at,public_metrics,entities',
+      'tweet.fields': 'created_at,public_metrics,entities,author_id',
       exclude: 'retweets,replies'
-    });
+    }, { priority: 'high' });
+
+    tweetArchive.ingestTweets({ data: tweetsData.data, includes: { users: [userData.data] } }, 'user-tweets');
 
     res.json({
       success: true,
       user: userData.data,
-      data: tweetsData.data || [],
+      data: (tweetsData.data || []).map(analyzeTweet),
       meta: tweetsData.meta || {}
     });
   } catch (error) {
     console.error('[User Tweets] Error:', error.message);
-    res.json({ success: false, error: error.message, rateLimited: error.message.includes('429'), data: [] });
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited, data: [] });
   }
-});
+}));
 
-// Get mentions of BJP Bengal
-app.get('/api/twitter/mentions', async (req, res) => {
+// Get mentions of the profile's accounts (BJP Bengal by default)
+app.get('/api/twitter/mentions', withCache({ route: 'twitter-mentions', ttl: 60, staleTtl: 300 }, async (req, res) => {
   try {
-    const query = '@BJP4Bengal -is:retweet';
+    const { profile, error } = monitoringProfiles.resolveProfile(req.query.profile);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    const accounts = profile.mentionAccounts?.length ? profile.mentionAccounts : profile.accounts;
+    if (!accounts?.length) {
+      return res.status(400).json({ error: `Profile ${profile.id} has no accounts to track mentions for` });
+    }
+
+    const mentions = accounts.map(account => `@${account}`);
+    const query = mentions.length > 1
+      ? `(${mentions.join(' OR ')}) -is:retweet`
+      : `${mentions[0]} -is:retweet`;
 
     const data = await twitterRequest('/tweets/search/recent', {
       query: query,
@@ -217,94 +289,232 @@ app.get('/api/twitter/mentions', async (req, res) => {
       'tweet.fields': 'created_at,public_metrics,author_id,entities',
       'user.fields': 'name,username,profile_image_url',
       'expansions': 'author_id'
-    });
+    }, { priority: 'high' });
+    tweetArchive.ingestTweets(data, 'mentions');
 
     res.json({
       success: true,
-      data: data.data || [],
+      data: (data.data || []).map(analyzeTweet),
       includes: data.includes || {},
-      meta: data.meta || {}
+      meta: data.meta || {},
+      profile: profile.id
     });
   } catch (error) {
     console.error('[Mentions] Error:', error.message);
-    res.json({ success: false, error: error.message, rateLimited: error.message.includes('429'), data: [] });
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited, data: [] });
+  }
+}));
+
+// Rank authors talking about a profile's hashtags/keywords (from the tweet archive).
+// ?period=7d or ?from=&to=, ?sort=influence|reach|engagement|volume, ?stance=pro|anti|neutral,
+// ?min_tweets=, ?limit=, ?include_own=true keeps the profile's own accounts in the list.
+app.get('/api/twitter/influencers', withCache({ route: 'twitter-influencers', ttl: 300, staleTtl: 900 }, async (req, res) => {
+  const { profile, error: profileError } = monitoringProfiles.resolveProfile(req.query.profile);
+  if (profileError) {
+    return res.status(404).json({ error: profileError });
+  }
+
+  const { from, to, error } = accountAnalytics.parsePeriod(req.query, '7d');
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const sort = req.query.sort || 'influence';
+  if (!influencerRanking.SORT_KEYS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of ${influencerRanking.SORT_KEYS.join(', ')}` });
+  }
+  if (req.query.stance && !influencerRanking.STANCES.includes(req.query.stance)) {
+    return res.status(400).json({ error: `stance must be one of ${influencerRanking.STANCES.join(', ')}` });
+  }
+
+  const ranking = influencerRanking.rankAuthors(profile, tweetArchive.getTweetsBetween(from, to), tweetArchive.getUser, {
+    sort,
+    stance: req.query.stance,
+    minTweets: parseInt(req.query.min_tweets) || 1,
+    limit: Math.min(parseInt(req.query.limit) || 25, 200),
+    includeOwn: req.query.include_own === 'true'
+  });
+
+  res.json({
+    success: true,
+    profile: { id: profile.id, name: profile.name },
+    period: { from: new Date(from).toISOString(), to: new Date(to).toISOString() },
+    sort,
+    ...ranking,
+    fetchedAt: new Date().toISOString()
+  });
+}));
+
+// =====================================================
+// MONITORING PROFILES
+// =====================================================
+
+// Feed results built from a profile go stale as soon as it changes
+monitoringProfiles.onProfileChange((profile, action) => {
+  console.log(`[Profiles] ${profile.id} ${action}`);
+  ['twitter-bjp-bengal', 'twitter-mentions', 'twitter-influencers'].forEach(route => responseCache.purgeEntries({ route }));
+});
+
+app.get('/api/profiles', (req, res) => {
+  res.json({ success: true, profiles: monitoringProfiles.listProfiles() });
+});
+
+app.get('/api/profiles/:profileId', (req, res) => {
+  const profile = monitoringProfiles.getProfile(req.params.profileId);
+  if (!profile) {
+    return res.status(404).json({ error: `Monitoring profile not found: ${req.params.profileId}` });
+  }
+  res.json({ success: true, profile });
+});
+
+// Create a profile: { name, id?, description?, party?, hashtags, keywords, accounts, mentionAccounts?, localizedKeywords? }
+app.post('/api/profiles', (req, res) => {
+  const { profile, error, conflict } = monitoringProfiles.createProfile(req.body);
+  if (error) {
+    return res.status(conflict ? 409 : 400).json({ error });
+  }
+  res.status(201).json({ success: true, profile });
+});
+
+// Update any subset of a profile's fields
+app.put('/api/profiles/:profileId', (req, res) => {
+  const { profile, error, notFound } = monitoringProfiles.updateProfile(req.params.profileId, req.body);
+  if (error) {
+    return res.status(notFound ? 404 : 400).json({ error });
+  }
+  res.json({ success: true, profile });
+});
+
+app.delete('/api/profiles/:profileId', (req, res) => {
+  const { profile, error, notFound } = monitoringProfiles.deleteProfile(req.params.profileId);
+  if (error) {
+    return res.status(notFound ? 404 : 400).json({ error });
   }
+  res.json({ success: true, profile });
+});
+
+// =====================================================
+// CONSTITUENCY REGISTRY (all 294 assembly seats)
+// =====================================================
+
+// List seats, filtered by ?district=, ?lok_sabha=, ?reservation=GEN|SC|ST or ?q= (name/alias)
+app.get('/api/constituencies', (req, res) => {
+  const error = constituencies.validateFilters(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const data = constituencies.listConstituencies(req.query);
+  res.json({ success: true, total: data.length, data });
+});
+
+// Districts and Lok Sabha seats with their assembly seat counts
+app.get('/api/constituencies/districts', (req, res) => {
+  res.json({ success: true, data: constituencies.listDistricts() });
+});
+
+app.get('/api/constituencies/lok-sabha', (req, res) => {
+  res.json({ success: true, data: constituencies.listLokSabhaSeats() });
+});
+
+// One seat by ID, legacy ID or assembly number
+app.get('/api/constituencies/:constituencyId', (req, res) => {
+  const constituency = constituencies.getConstituency(req.params.constituencyId);
+  if (!constituency) {
+    return res.status(404).json({ error: `Unknown constituency: ${req.params.constituencyId}` });
+  }
+  res.json({ success: true, constituency });
 });
 
 // =====================================================
 // RSS PROXY FOR GOOGLE NEWS (CORS bypass)
 // =====================================================
 
+// ?since=, ?cursor=, ?client= and ?unread=true are applied per request on top of the cached response
+const NEWS_VIEW = {
+  perRequestParams: newsStore.VIEW_PARAMS,
+  personalize: (body, req) => newsStore.applyView(body, newsStore.parseView(req).view)
+};
+
+function validateNewsView(req, res, next) {
+  const { error } = newsStore.parseView(req);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  next();
+}
+
 // Google News RSS Proxy - Fetches news for West Bengal constituencies
-app.get('/api/rss-proxy', async (req, res) => {
+app.get('/api/rss-proxy', validateNewsView, withCache({ route: 'rss-proxy', ttl: 300, staleTtl: 1800, ...NEWS_VIEW }, async (req, res) => {
   try {
     const { url, keyword, constituency } = req.query;
 
-    let rssUrl;
+    // ?lang= picks the Google News editions searched for a keyword or constituency (default en, bn and hi)
+    const { languages, error: langError } = parseLanguages(req.query.lang);
+    if (langError) {
+      return res.status(400).json({ error: langError });
+    }
+
+    let feeds;
     if (url) {
-      // Direct URL provided
-      rssUrl = decodeURIComponent(url);
-    } else if (keyword) {
-      // Build Google News RSS URL with keyword
-      const searchQuery = encodeURIComponent(`${keyword} West Bengal`);
-      rssUrl = `https://news.google.com/rss/search?q=${searchQuery}&hl=en-IN&gl=IN&ceid=IN:en`;
-    } else if (constituency) {
-      // Use constituency name as keyword
-      const searchQuery = encodeURIComponent(`${constituency} West Bengal politics`);
-      rssUrl = `https://news.google.com/rss/search?q=${searchQuery}&hl=en-IN&gl=IN&ceid=IN:en`;
+      // Express has already decoded the query; still accept a double-encoded URL
+      feeds = [{ url: /^https?%3A/i.test(url) ? decodeURIComponent(url) : url }];
+    } else if (keyword || constituency) {
+      feeds = constituencyNews.searchFeeds({ keyword, constituency }, languages.length ? languages : constituencyNews.DEFAULT_EDITIONS);
     } else {
       return res.status(400).json({ error: 'URL, keyword, or constituency parameter required' });
     }
 
-    console.log(`[RSS Proxy] Fetching: ${rssUrl}`);
-
-    const response = await fetch(rssUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`RSS fetch failed: ${response.status}`);
+    // Allowlisted hosts only, private addresses blocked, size/time/content-type limits
+    const results = await Promise.allSettled(feeds.map(async ({ url: feedUrl, edition }) => {
+      const feed = await fetchFeed(feedUrl);
+      const isGoogleNews = new URL(feed.url).hostname === 'news.google.com';
+      // RSS 2.0, Atom or RSS 1.0/RDF
+      const parsed = await parseFeed(feed.text, { googleNews: isGoogleNews });
+      return { edition, isGoogleNews, parsed };
+    }));
+
+    // One edition failing still returns the others; all failing surfaces the first error
+    const fetched = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    if (fetched.length === 0) throw results[0].reason;
+    const { parsed, isGoogleNews } = fetched[0];
+
+    const items = fetched.flatMap(({ edition, parsed: editionFeed }) => editionFeed.items.slice(0, 10).map(item => ({
+      title: item.title,
+      description: item.description.substring(0, 200),
+      url: item.url,
+      source: item.source,
+      published_at: item.published_at || new Date().toISOString(),
+      image_url: item.image_url,
+      language: constituencyNews.articleLanguage(item.title, edition || 'und'),
+      edition
+    })));
+
+    if (items.length === 0) {
+      return res.json({ success: true, articles: [], format: parsed.format, message: 'No news found' });
     }
+    items.sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
 
-    const xmlText = await response.text();
+    let articles = newsStore.recordArticles(items);
 
-    // Parse XML to JSON
-    const result = await parseStringPromise(xmlText, { explicitArray: false });
-    const channel = result.rss?.channel;
-
-    if (!channel) {
-      return res.json({ success: true, articles: [], message: 'No news found' });
+    // ?enrich=true resolves publisher links and adds page text, image, author and publish time
+    if (req.query.enrich === 'true') {
+      articles = await articleEnrichment.enrichArticles(articles);
     }
 
-    // Extract articles from RSS items
-    let items = channel.item || [];
-    if (!Array.isArray(items)) {
-      items = [items];
+    // ?translate=true adds English title_en/description_en to Bengali and Hindi articles
+    if (req.query.translate === 'true') {
+      articles = await newsTranslation.translateArticles(articles);
     }
 
-    const articles = items.slice(0, 10).map((item, index) => {
-      // Extract source from title (Google News format: "Title - Source")
-      const titleParts = (item.title || '').split(' - ');
-      const source = titleParts.length > 1 ? titleParts.pop() : 'Google News';
-      const title = titleParts.join(' - ');
-
-      // Clean description (remove HTML tags)
-      let description = item.description || '';
-      description = description.replace(/<[^>]*>/g, '').trim();
-
-      return {
-        id: `news_${Date.now()}_${index}`,
-        title: title || item.title,
-        description: description.substring(0, 200),
-        url: item.link || '',
-        source: source,
-        published_at: item.pubDate || new Date().toISOString(),
-        image_url: null // Google News RSS doesn't include images
-      };
-    });
-
+    articles = articles.map(analyzeArticle);
+    alertRules.observeArticles(articles);
+    // Relevant results of a seat search also count towards that seat's news_volume rules
+    const seat = !url && !keyword ? constituencies.findConstituency(constituency) : null;
+    if (seat) {
+      alertRules.observeArticles(articles.filter(article =>
+        constituencyNews.scoreArticle(article, seat).score >= constituencyNews.DEFAULT_MIN_SCORE), seat.id);
+    }
     console.log(`[RSS Proxy] Found ${articles.length} articles`);
 
     res.json({
@@ -312,152 +522,133 @@ app.get('/api/rss-proxy', async (req, res) => {
       articles: articles,
       total: articles.length,
       fetchedAt: new Date().toISOString(),
-      source: 'google_news_rss'
+      format: parsed.format,
+      source: isGoogleNews ? 'google_news_rss' : 'rss_feed',
+      editions: fetched.map(result => result.edition).filter(Boolean),
+      failedEditions: results
+        .map((result, index) => (result.status === 'rejected' ? { edition: feeds[index].edition, error: result.reason.message } : null))
+        .filter(Boolean)
     });
 
   } catch (error) {
     console.error('[RSS Proxy] Error:', error.message);
-    res.json({
+    // Rejected URLs get a 4xx; upstream failures keep the 200 + success: false shape
+    res.status(error.status && error.status < 500 ? error.status : 200).json({
       success: false,
       error: error.message,
+      code: error.code,
       articles: [],
       fetchedAt: new Date().toISOString()
     });
   }
+}));
+
+// Read state for a client (?client= or X-Client-Id)
+app.get('/api/news/read-state', (req, res) => {
+  const { view, error } = newsStore.parseView(req);
+  if (error || !view.client) {
+    return res.status(400).json({ error: error || 'client required (?client= or X-Client-Id)' });
+  }
+  const read = newsStore.getReadState(view.client);
+  res.json({ success: true, client: view.client, total: read.length, read });
 });
 
-// Constituency-specific news endpoint
-app.get('/api/news/constituency/:constituencyId', async (req, res) => {
+// Mark articles read: { client?, ids: [...], read: true | false (default true) }
+app.post('/api/news/read-state', (req, res) => {
+  const client = req.body?.client || req.get('X-Client-Id');
+  if (!client || !/^[\w-]{1,64}$/.test(client)) {
+    return res.status(400).json({ error: 'client must be 1-64 letters, digits, _ or -' });
+  }
+  if (!Array.isArray(req.body.ids) || req.body.ids.length === 0) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of article IDs' });
+  }
+  if (req.body.read !== undefined && typeof req.body.read !== 'boolean') {
+    return res.status(400).json({ error: 'read must be a boolean' });
+  }
+
+  const result = newsStore.markRead(client, req.body.ids.map(String), req.body.read !== false);
+  res.json({ success: true, client, ...result });
+});
+
+// Parse ?sort= and ?min_score= for the constituency news routes. Returns { sort, minScore } or { error }.
+function parseNewsRanking(query) {
+  const sort = query.sort || 'relevance';
+  if (!constituencyNews.SORTS.includes(sort)) {
+    return { error: `sort must be one of ${constituencyNews.SORTS.join(', ')}` };
+  }
+
+  const minScore = query.min_score !== undefined ? parseFloat(query.min_score) : constituencyNews.DEFAULT_MIN_SCORE;
+  if (isNaN(minScore)) {
+    return { error: 'min_score must be a number' };
+  }
+
+  return { sort, minScore };
+}
+
+// Constituency-specific news endpoint, served from the background news collection
+// Returns the seat's collected articles (every name, alias and associated keyword searched) above
+// the relevance threshold (?min_score=), by ?sort=relevance|recent, up to ?limit= (default 5).
+// ?lang=bn,hi keeps articles in those languages; ?translate=true adds English title_en/description_en.
+// ?enrich=true adds the publisher URL, page text, summary, image and author.
+// ?since= / ?cursor= return only articles first seen after that point; ?client= adds read flags.
+app.get('/api/news/constituency/:constituencyId', validateNewsView, withCache({ route: 'news-constituency', ttl: 120, staleTtl: 600, ...NEWS_VIEW }, async (req, res) => {
   try {
     const { constituencyId } = req.params;
 
-    // Map constituency IDs to search keywords
-    const CONSTITUENCY_KEYWORDS = {
-      // Kolkata Metro
-      'wb_kolkata_bhowanipore': ['Bhowanipore', 'Mamata Banerjee', 'Kolkata South'],
-      'wb_kolkata_beleghata': ['Beleghata', 'Kolkata East'],
-      'wb_kolkata_entally': ['Entally', 'Central Kolkata'],
-      'wb_kolkata_ballygunge': ['Ballygunge', 'South Kolkata'],
-      'wb_kolkata_chowringhee': ['Chowringhee', 'Park Street Kolkata'],
-      'wb_kolkata_rashbehari': ['Rashbehari', 'South Kolkata'],
-      'wb_kolkata_tollygunge': ['Tollygunge', 'Tolly Kolkata'],
-      'wb_kolkata_jadavpur': ['Jadavpur', 'Jadavpur University'],
-      'wb_kolkata_kasba': ['Kasba', 'East Kolkata'],
-      'wb_kolkata_behala_west': ['Behala', 'West Behala'],
-
-      // Howrah
-      'wb_howrah_howrah_uttar': ['Howrah North', 'Howrah politics'],
-      'wb_howrah_howrah_madhya': ['Howrah Central', 'Howrah'],
-      'wb_howrah_shibpur': ['Shibpur', 'Howrah Shibpur'],
-      'wb_howrah_bally': ['Bally', 'Howrah Bally'],
-      'wb_howrah_uttarpara': ['Uttarpara', 'Hooghly Uttarpara'],
-
-      // North 24 Parganas
-      'wb_north_24_parganas_barrackpore': ['Barrackpore', 'Arjun Singh'],
-      'wb_north_24_parganas_dum_dum': ['Dum Dum', 'North Kolkata'],
-      'wb_north_24_parganas_rajarhat_new_town': ['Rajarhat', 'New Town Kolkata'],
-      'wb_north_24_parganas_bidhannagar': ['Bidhannagar', 'Salt Lake'],
-      'wb_north_24_parganas_madhyamgram': ['Madhyamgram', 'North 24 Parganas'],
-      'wb_north_24_parganas_barasat': ['Barasat', 'North 24 Parganas'],
-
-      // South 24 Parganas
-      'wb_south_24_parganas_jadavpur': ['Jadavpur South', 'South Kolkata'],
-      'wb_south_24_parganas_sonarpur_uttar': ['Sonarpur', 'South 24 Parganas'],
-      'wb_south_24_parganas_budge_budge': ['Budge Budge', 'South 24 Parganas'],
-      'wb_south_24_parganas_diamond_harbour': ['Diamond Harbour', 'Abhishek Banerjee'],
-
-      // North Bengal
-      'wb_darjeeling_darjeeling': ['Darjeeling', 'GTA', 'Gorkhaland'],
-      'wb_darjeeling_siliguri': ['Siliguri', 'North Bengal'],
-      'wb_jalpaiguri_jalpaiguri': ['Jalpaiguri', 'North Bengal'],
-      'wb_cooch_behar_cooch_behar_uttar': ['Cooch Behar', 'North Bengal'],
-
-      // Malda / Murshidabad
-      'wb_malda_english_bazar': ['Malda', 'English Bazar'],
-      'wb_murshidabad_berhampore': ['Berhampore', 'Murshidabad'],
-
-      // Nadia
-      'wb_nadia_krishnanagar_uttar': ['Krishnanagar', 'Nadia'],
-      'wb_nadia_ranaghat_uttar_paschim': ['Ranaghat', 'Nadia'],
-
-      // Hooghly
-      'wb_hooghly_serampore': ['Serampore', 'Hooghly'],
-      'wb_hooghly_chandannagar': ['Chandannagar', 'Hooghly'],
-      'wb_hooghly_chinsurah': ['Chinsurah', 'Hooghly'],
-      'wb_hooghly_arambag': ['Arambag', 'Hooghly'],
-
-      // Bardhaman
-      'wb_purba_bardhaman_asansol_uttar': ['Asansol', 'Asansol North'],
-      'wb_purba_bardhaman_asansol_dakshin': ['Asansol South', 'Bardhaman'],
-      'wb_purba_bardhaman_durgapur_purba': ['Durgapur', 'East Durgapur'],
-      'wb_purba_bardhaman_durgapur_paschim': ['Durgapur West', 'Bardhaman'],
-      'wb_purba_bardhaman_bardhaman_uttar': ['Bardhaman', 'Burdwan'],
-      'wb_paschim_bardhaman_pandaveswar': ['Pandaveswar', 'West Bardhaman'],
-
-      // Medinipur
-      'wb_purba_medinipur_tamluk': ['Tamluk', 'Purba Medinipur'],
-      'wb_purba_medinipur_haldia': ['Haldia', 'Purba Medinipur'],
-      'wb_paschim_medinipur_midnapore': ['Midnapore', 'Paschim Medinipur'],
-
-      // Others
-      'wb_bankura_bankura': ['Bankura', 'Bankura politics'],
-      'wb_purulia_purulia': ['Purulia', 'Purulia politics'],
-      'wb_birbhum_bolpur': ['Bolpur', 'Shantiniketan'],
-      'wb_birbhum_suri': ['Suri', 'Birbhum']
-    };
-
-    // Get keywords for this constituency (or use generic West Bengal)
-    const keywords = CONSTITUENCY_KEYWORDS[constituencyId] || ['West Bengal politics'];
-    const searchKeyword = keywords[0]; // Use first keyword
-
-    // Fetch from Google News RSS
-    const searchQuery = encodeURIComponent(`${searchKeyword} West Bengal`);
-    const rssUrl = `https://news.google.com/rss/search?q=${searchQuery}&hl=en-IN&gl=IN&ceid=IN:en`;
-
-    console.log(`[Constituency News] ${constituencyId} -> ${searchKeyword}`);
-
-    const response = await fetch(rssUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const constituency = constituencies.getConstituency(constituencyId);
+    if (!constituency) {
+      return res.status(404).json({ error: `Unknown constituency: ${constituencyId}` });
+    }
 
-    if (!response.ok) {
-      throw new Error(`RSS fetch failed: ${response.status}`);
+    const { sort, minScore, error } = parseNewsRanking(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const xmlText = await response.text();
-    const result = await parseStringPromise(xmlText, { explicitArray: false });
-    const channel = result.rss?.channel;
-
-    let items = channel?.item || [];
-    if (!Array.isArray(items)) items = [items];
-
-    const articles = items.slice(0, 5).map((item, index) => {
-      const titleParts = (item.title || '').split(' - ');
-      const source = titleParts.length > 1 ? titleParts.pop() : 'Google News';
-      const title = titleParts.join(' - ');
-      let description = (item.description || '').replace(/<[^>]*>/g, '').trim();
-
-      return {
-        id: `${constituencyId}_${Date.now()}_${index}`,
-        constituency_id: constituencyId,
-        title: title || item.title,
-        description: description.substring(0, 200),
-        url: item.link || '',
-        source: source,
-        published_at: item.pubDate || new Date().toISOString(),
-        sentiment: 'neutral',
-        fetch_source: 'google_rss'
-      };
-    });
+    const { languages, error: langError } = parseLanguages(req.query.lang);
+    if (langError) {
+      return res.status(400).json({ error: langError });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 5, 50);
+    const result = newsCollector.getConstituencyNews(constituency.id, { limit, minScore, sort, languages });
+    if (!result) {
+      return res.json({
+        success: false,
+        error: 'News for this constituency has not been collected yet',
+        constituency_id: constituency.id,
+        articles: [],
+        collection: newsCollector.getCollectionStatus(),
+        fetchedAt: new Date().toISOString()
+      });
+    }
+
+    let found = req.query.enrich === 'true'
+      ? await articleEnrichment.enrichArticles(result.articles)
+      : result.articles;
+    if (req.query.translate === 'true') {
+      found = await newsTranslation.translateArticles(found);
+    }
+
+    const articles = found.map(article => ({
+      id: article.id,
+      constituency_id: constituency.id,
+      ...analyzeArticle(article),
+      fetch_source: article.outlet_id ? 'outlet_rss' : 'google_rss'
+    }));
 
     res.json({
       success: true,
-      constituency_id: constituencyId,
-      keywords: keywords,
+      constituency_id: constituency.id,
+      constituency: constituencies.summarize(constituency),
+      keywords: constituencies.searchTerms(constituency),
+      queries: result.queries,
       articles: articles,
       total: articles.length,
+      fetched: result.fetched,
+      minScore: result.minScore,
+      sort,
+      collectedAt: result.collected_at,
       fetchedAt: new Date().toISOString()
     });
 
@@ -470,267 +661,48 @@ app.get('/api/news/constituency/:constituencyId', async (req, res) => {
       fetchedAt: new Date().toISOString()
     });
   }
-});
+}));
 
 // =====================================================
 // ALL CONSTITUENCIES NEWS (for Geographic Heatmap)
 // =====================================================
 
-// Constituency keywords mapping (shared)
-const CONSTITUENCY_KEYWORDS = {
-  // Kolkata Metro
-  'wb_kolkata_bhowanipore': ['Bhowanipore', 'Mamata Banerjee', 'Kolkata South'],
-  'wb_kolkata_beleghata': ['Beleghata', 'Kolkata East'],
-  'wb_kolkata_entally': ['Entally', 'Central Kolkata'],
-  'wb_kolkata_ballygunge': ['Ballygunge', 'South Kolkata'],
-  'wb_kolkata_chowringhee': ['Chowringhee', 'Park Street Kolkata'],
-  'wb_kolkata_rashbehari': ['Rashbehari', 'South Kolkata'],
-  'wb_kolkata_tollygunge': ['Tollygunge', 'Tolly Kolkata'],
-  'wb_kolkata_jadavpur': ['Jadavpur', 'Jadavpur University'],
-  'wb_kolkata_kasba': ['Kasba', 'East Kolkata'],
-  'wb_kolkata_behala_west': ['Behala', 'West Behala'],
-  // Howrah
-  'wb_howrah_howrah_uttar': ['Howrah North', 'Howrah politics'],
-  'wb_howrah_howrah_madhya': ['Howrah Central', 'Howrah'],
-  'wb_howrah_shibpur': ['Shibpur', 'Howrah Shibpur'],
-  'wb_howrah_bally': ['Bally', 'Howrah Bally'],
-  'wb_howrah_uttarpara': ['Uttarpara', 'Hooghly Uttarpara'],
-  // North 24 Parganas
-  'wb_north_24_parganas_barrackpore': ['Barrackpore', 'Arjun Singh'],
-  'wb_north_24_parganas_dum_dum': ['Dum Dum', 'North Kolkata'],
-  'wb_north_24_parganas_rajarhat_new_town': ['Rajarhat', 'New Town Kolkata'],
-  'wb_north_24_parganas_bidhannagar': ['Bidhannagar', 'Salt Lake'],
-  'wb_north_24_parganas_madhyamgram': ['Madhyamgram', 'North 24 Parganas'],
-  'wb_north_24_parganas_barasat': ['Barasat', 'North 24 Parganas'],
-  // South 24 Parganas
-  'wb_south_24_parganas_jadavpur': ['Jadavpur South', 'South Kolkata'],
-  'wb_south_24_parganas_sonarpur_uttar': ['Sonarpur', 'South 24 Parganas'],
-  'wb_south_24_parganas_budge_budge': ['Budge Budge', 'South 24 Parganas'],
-  'wb_south_24_parganas_diamond_harbour': ['Diamond Harbour', 'Abhishek Banerjee'],
-  // North Bengal
-  'wb_darjeeling_darjeeling': ['Darjeeling', 'GTA', 'Gorkhaland'],
-  'wb_darjeeling_siliguri': ['Siliguri', 'North Bengal'],
-  'wb_jalpaiguri_jalpaiguri': ['Jalpaiguri', 'North Bengal'],
-  'wb_cooch_behar_cooch_behar_uttar': ['Cooch Behar', 'North Bengal'],
-  // Malda / Murshidabad
-  'wb_malda_english_bazar': ['Malda', 'English Bazar'],
-  'wb_murshidabad_berhampore': ['Berhampore', 'Murshidabad'],
-  // Nadia
-  'wb_nadia_krishnanagar_uttar': ['Krishnanagar', 'Nadia'],
-  'wb_nadia_ranaghat_uttar_paschim': ['Ranaghat', 'Nadia'],
-  // Hooghly
-  'wb_hooghly_serampore': ['Serampore', 'Hooghly'],
-  'wb_hooghly_chandannagar': ['Chandannagar', 'Hooghly'],
-  'wb_hooghly_chinsurah': ['Chinsurah', 'Hooghly'],
-  'wb_hooghly_arambag': ['Arambag', 'Hooghly'],
-  // Bardhaman
-  'wb_purba_bardhaman_asansol_uttar': ['Asansol', 'Asansol North'],
-  'wb_purba_bardhaman_asansol_dakshin': ['Asansol South', 'Bardhaman'],
-  'wb_purba_bardhaman_durgapur_purba': ['Durgapur', 'East Durgapur'],
-  'wb_purba_bardhaman_durgapur_paschim': ['Durgapur West', 'Bardhaman'],
-  'wb_purba_bardhaman_bardhaman_uttar': ['Bardhaman', 'Burdwan'],
-  'wb_paschim_bardhaman_pandaveswar': ['Pandaveswar', 'West Bardhaman'],
-  // Medinipur
-  'wb_purba_medinipur_tamluk': ['Tamluk', 'Purba Medinipur'],
-  'wb_purba_medinipur_haldia': ['Haldia', 'Purba Medinipur'],
-  'wb_paschim_medinipur_midnapore': ['Midnapore', 'Paschim Medinipur'],
-  // Others
-  'wb_bankura_bankura': ['Bankura', 'Bankura politics'],
-  'wb_purulia_purulia': ['Purulia', 'Purulia politics'],
-  'wb_birbhum_bolpur': ['Bolpur', 'Shantiniketan'],
-  'wb_birbhum_suri': ['Suri', 'Birbhum']
-};
-
-// Constituency name mapping
-const CONSTITUENCY_NAMES = {
-  'wb_kolkata_bhowanipore': 'Bhowanipore',
-  'wb_kolkata_beleghata': 'Beleghata',
-  'wb_kolkata_entally': 'Entally',
-  'wb_kolkata_ballygunge': 'Ballygunge',
-  'wb_kolkata_chowringhee': 'Chowringhee',
-  'wb_kolkata_rashbehari': 'Rashbehari',
-  'wb_kolkata_tollygunge': 'Tollygunge',
-  'wb_kolkata_jadavpur': 'Jadavpur',
-  'wb_kolkata_kasba': 'Kasba',
-  'wb_kolkata_behala_west': 'Behala West',
-  'wb_howrah_howrah_uttar': 'Howrah Uttar',
-  'wb_howrah_howrah_madhya': 'Howrah Madhya',
-  'wb_howrah_shibpur': 'Shibpur',
-  'wb_howrah_bally': 'Bally',
-  'wb_howrah_uttarpara': 'Uttarpara',
-  'wb_north_24_parganas_barrackpore': 'Barrackpore',
-  'wb_north_24_parganas_dum_dum': 'Dum Dum',
-  'wb_north_24_parganas_rajarhat_new_town': 'Rajarhat New Town',
-  'wb_north_24_parganas_bidhannagar': 'Bidhannagar',
-  'wb_north_24_parganas_madhyamgram': 'Madhyamgram',
-  'wb_north_24_parganas_barasat': 'Barasat',
-  'wb_south_24_parganas_jadavpur': 'Jadavpur (South)',
-  'wb_south_24_parganas_sonarpur_uttar': 'Sonarpur Uttar',
-  'wb_south_24_parganas_budge_budge': 'Budge Budge',
-  'wb_south_24_parganas_diamond_harbour': 'Diamond Harbour',
-  'wb_darjeeling_darjeeling': 'Darjeeling',
-  'wb_darjeeling_siliguri': 'Siliguri',
-  'wb_jalpaiguri_jalpaiguri': 'Jalpaiguri',
-  'wb_cooch_behar_cooch_behar_uttar': 'Cooch Behar Uttar',
-  'wb_malda_english_bazar': 'English Bazar',
-  'wb_murshidabad_berhampore': 'Berhampore',
-  'wb_nadia_krishnanagar_uttar': 'Krishnanagar Uttar',
-  'wb_nadia_ranaghat_uttar_paschim': 'Ranaghat',
-  'wb_hooghly_serampore': 'Serampore',
-  'wb_hooghly_chandannagar': 'Chandannagar',
-  'wb_hooghly_chinsurah': 'Chinsurah',
-  'wb_hooghly_arambag': 'Arambag',
-  'wb_purba_bardhaman_asansol_uttar': 'Asansol Uttar',
-  'wb_purba_bardhaman_asansol_dakshin': 'Asansol Dakshin',
-  'wb_purba_bardhaman_durgapur_purba': 'Durgapur Purba',
-  'wb_purba_bardhaman_durgapur_paschim': 'Durgapur Paschim',
-  'wb_purba_bardhaman_bardhaman_uttar': 'Bardhaman Uttar',
-  'wb_paschim_bardhaman_pandaveswar': 'Pandaveswar',
-  'wb_purba_medinipur_tamluk': 'Tamluk',
-  'wb_purba_medinipur_haldia': 'Haldia',
-  'wb_paschim_medinipur_midnapore': 'Midnapore',
-  'wb_bankura_bankura': 'Bankura',
-  'wb_purulia_purulia': 'Purulia',
-  'wb_birbhum_bolpur': 'Bolpur',
-  'wb_birbhum_suri': 'Suri'
-};
-
-// Simple sentiment analysis based on keywords
-function analyzeSentiment(text) {
-  const lowerText = text.toLowerCase();
-  const positiveWords = ['win', 'victory', 'success', 'rally', 'support', 'growth', 'development', 'inaugurat', 'launch', 'welfare', 'scheme', 'benefit'];
-  const negativeWords = ['attack', 'scam', 'corrupt', 'protest', 'violence', 'arrest', 'accus', 'fail', 'crisis', 'contro', 'scandal', 'allegation'];
-
-  let positiveCount = 0;
-  let negativeCount = 0;
-
-  positiveWords.forEach(word => {
-    if (lowerText.includes(word)) positiveCount++;
-  });
-  negativeWords.forEach(word => {
-    if (lowerText.includes(word)) negativeCount++;
-  });
-
-  if (positiveCount > negativeCount) return { score: 0.5, label: 'positive' };
-  if (negativeCount > positiveCount) return { score: -0.5, label: 'negative' };
-  return { score: 0, label: 'neutral' };
-}
-
-// Cache for news data (5 minute TTL)
-let newsCache = {};
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-
-// Fetch news for all constituencies (for heatmap)
-app.get('/api/news/all-constituencies', async (req, res) => {
+// News for all constituencies (for heatmap), built from the background news collection
+// news_count is distinct local stories per seat; raw matches are in article_count.
+// top_issues per seat (and issues across the state) count stories by issue category.
+app.get('/api/news/all-constituencies', withCache({ route: 'news-all-constituencies', ttl: 120, staleTtl: 600 }, async (req, res) => {
   try {
-    const now = Date.now();
-
-    // Check cache
-    if (newsCache.data && (now - newsCache.timestamp) < CACHE_TTL) {
-      console.log('[All Constituencies News] Returning cached data');
-      return res.json({
-        success: true,
-        data: newsCache.data,
-        fromCache: true,
-        fetchedAt: new Date(newsCache.timestamp).toISOString()
-      });
+    // Optional ?district=, ?lok_sabha= or ?reservation= narrow the seats returned
+    const filterError = constituencies.validateFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
 
-    console.log('[All Constituencies News] Fetching fresh data for', Object.keys(CONSTITUENCY_KEYWORDS).length, 'constituencies');
-
-    // Fetch news for all constituencies in parallel (batch of 10 at a time to avoid rate limiting)
-    const constituencyIds = Object.keys(CONSTITUENCY_KEYWORDS);
-    const results = [];
-
-    // Process in batches
-    const batchSize = 10;
-    for (let i = 0; i < constituencyIds.length; i += batchSize) {
-      const batch = constituencyIds.slice(i, i + batchSize);
-
-      const batchPromises = batch.map(async (constituencyId) => {
-        try {
-          const keywords = CONSTITUENCY_KEYWORDS[constituencyId];
-          const searchKeyword = keywords[0];
-          const searchQuery = encodeURIComponent(`${searchKeyword} West Bengal`);
-          const rssUrl = `https://news.google.com/rss/search?q=${searchQuery}&hl=en-IN&gl=IN&ceid=IN:en`;
-
-          const response = await fetch(rssUrl, {
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-          });
-
-          if (!response.ok) {
-            return {
-              constituency_id: constituencyId,
-              constituency_name: CONSTITUENCY_NAMES[constituencyId] || constituencyId,
-              news_count: 0,
-              sentiment_score: 0,
-              sentiment_label: 'neutral',
-              top_headlines: []
-            };
-          }
-
-          const xmlText = await response.text();
-          const result = await parseStringPromise(xmlText, { explicitArray: false });
-          const channel = result.rss?.channel;
-
-          let items = channel?.item || [];
-          if (!Array.isArray(items)) items = [items];
-
-          // Get top 3 headlines
-          const headlines = items.slice(0, 3).map(item => {
-            const titleParts = (item.title || '').split(' - ');
-            if (titleParts.length > 1) titleParts.pop(); // Remove source
-            return titleParts.join(' - ').substring(0, 80);
-          });
-
-          // Calculate sentiment from headlines
-          const allText = headlines.join(' ');
-          const sentiment = analyzeSentiment(allText);
-
-          return {
-            constituency_id: constituencyId,
-            constituency_name: CONSTITUENCY_NAMES[constituencyId] || constituencyId,
-            news_count: items.length,
-            sentiment_score: sentiment.score,
-            sentiment_label: sentiment.label,
-            top_headlines: headlines
-          };
-
-        } catch (err) {
-          console.error(`[All Constituencies News] Error for ${constituencyId}:`, err.message);
-          return {
-            constituency_id: constituencyId,
-            constituency_name: CONSTITUENCY_NAMES[constituencyId] || constituencyId,
-            news_count: 0,
-            sentiment_score: 0,
-            sentiment_label: 'neutral',
-            top_headlines: []
-          };
-        }
-      });
-
-      const batchResults = await Promise.all(batchPromises);
-      results.push(...batchResults);
-
-      // Small delay between batches to avoid rate limiting
-      if (i + batchSize < constituencyIds.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+    const { sort, minScore, error } = parseNewsRanking(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Cache the results
-    newsCache = {
-      data: results,
-      timestamp: now
-    };
-
-    console.log('[All Constituencies News] Fetched', results.length, 'constituencies');
+    const seats = constituencies.listConstituencies(req.query);
+    const { data, stories, issues, articles } = newsCollector.buildHeatmap(seats, { minScore, sort });
+    const collection = newsCollector.getCollectionStatus();
 
     res.json({
       success: true,
-      data: results,
+      data,
+      stories: {
+        articles,
+        distinct: stories.length,
+        state_level: stories.filter(story => story.state_level).length,
+        top: stories
+          .filter(story => story.constituencies.length > 1)
+          .sort((a, b) => b.constituencies.length - a.constituencies.length || b.sources.length - a.sources.length)
+          .slice(0, 20)
+          .map(({ articles, ...story }) => story)
+      },
+      issues,
+      collected: data.filter(seat => seat.collected_at).length,
+      collectedAt: collection.lastCollection ? collection.lastCollection.finishedAt : null,
       fromCache: false,
       fetchedAt: new Date().toISOString()
     });
@@ -744,36 +716,195 @@ app.get('/api/news/all-constituencies', async (req, res) => {
       fetchedAt: new Date().toISOString()
     });
   }
+}));
+
+// =====================================================
+// HEATMAP HISTORY (persisted heatmap runs)
+// =====================================================
+
+// A seat's heatmap points over ?period= (default 7d) or ?from=&to=
+app.get('/api/news/heatmap/history/:constituencyId', (req, res) => {
+  const constituency = constituencies.getConstituency(req.params.constituencyId);
+  if (!constituency) {
+    return res.status(404).json({ error: `Unknown constituency: ${req.params.constituencyId}` });
+  }
+
+  const { from, to, error } = accountAnalytics.parsePeriod(req.query, '7d');
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const points = heatmapHistory.getSeries(constituency.id, { from, to });
+  res.json({
+    success: true,
+    constituency: constituencies.summarize(constituency),
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    total: points.length,
+    points
+  });
+});
+
+// Every seat's heatmap values as of ?at= (default now), narrowed by the registry filters
+app.get('/api/news/heatmap/snapshot', (req, res) => {
+  const filterError = constituencies.validateFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  const at = req.query.at ? Date.parse(req.query.at) : Date.now();
+  if (isNaN(at)) {
+    return res.status(400).json({ error: 'at must be an ISO 8601 date' });
+  }
+
+  const seats = constituencies.listConstituencies(req.query);
+  const snapshot = heatmapHistory.getSnapshot(seats.map(seat => seat.id), at);
+  const data = seats
+    .filter(seat => snapshot[seat.id])
+    .map(seat => {
+      const { at: asOf, ...point } = snapshot[seat.id];
+      return { ...newsCollector.heatmapSeat(seat), as_of: asOf, ...point };
+    });
+
+  res.json({ success: true, at: new Date(at).toISOString(), total: data.length, missing: seats.length - data.length, data });
+});
+
+// Day-over-day and week-over-week change per seat. ?compare=day|week picks the delta used for
+// sorting and heating_up; ?heating=true keeps only seats heating up; ?limit= caps the list
+app.get('/api/news/heatmap/deltas', (req, res) => {
+  const filterError = constituencies.validateFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  const compare = req.query.compare || 'day';
+  if (!heatmapHistory.COMPARISONS[compare]) {
+    return res.status(400).json({ error: `compare must be one of ${Object.keys(heatmapHistory.COMPARISONS).join(', ')}` });
+  }
+
+  const seats = constituencies.listConstituencies(req.query);
+  const deltas = heatmapHistory.getDeltas(seats.map(seat => seat.id), compare);
+  let data = seats
+    .filter(seat => deltas[seat.id])
+    .map(seat => ({ ...newsCollector.heatmapSeat(seat), ...deltas[seat.id] }));
+
+  if (req.query.heating === 'true') data = data.filter(seat => seat.heating_up);
+  data.sort((a, b) => (b[compare]?.news_count ?? -Infinity) - (a[compare]?.news_count ?? -Infinity) || b.news_count - a.news_count);
+
+  const total = data.length;
+  if (req.query.limit) data = data.slice(0, parseInt(req.query.limit) || total);
+
+  res.json({ success: true, compare, total, heating_up: data.filter(seat => seat.heating_up).length, data });
+});
+
+// =====================================================
+// REGIONAL NEWS OUTLETS (polled feeds, tagged to constituencies)
+// =====================================================
+
+app.get('/api/news/outlets', (req, res) => {
+  res.json({ success: true, status: newsOutlets.getPollStatus(), outlets: newsOutlets.listOutlets() });
+});
+
+// Articles polled from outlet feeds, filtered by ?constituency= (ID, number or name), ?outlet=, ?language=bn|en, ?limit=
+// (?enrich=true as for constituency news)
+app.get('/api/news/outlets/articles', async (req, res) => {
+  const { outlet, language } = req.query;
+  let constituencyId;
+
+  if (req.query.constituency) {
+    const constituency = constituencies.findConstituency(req.query.constituency);
+    if (!constituency) {
+      return res.status(404).json({ error: `Unknown constituency: ${req.query.constituency}` });
+    }
+    constituencyId = constituency.id;
+  }
+  if (language && !newsOutlets.LANGUAGES.includes(language)) {
+    return res.status(400).json({ error: `language must be one of ${newsOutlets.LANGUAGES.join(', ')}` });
+  }
+  if (outlet && !newsOutlets.getOutlet(outlet)) {
+    return res.status(404).json({ error: `News outlet not found: ${outlet}` });
+  }
+
+  try {
+    const { total, data } = newsOutlets.queryArticles({ constituency: constituencyId, outlet, language, limit: req.query.limit });
+    let articles = req.query.enrich === 'true' ? await articleEnrichment.enrichArticles(data) : data;
+    if (req.query.translate === 'true') {
+      articles = await newsTranslation.translateArticles(articles);
+    }
+    res.json({ success: true, total, data: articles.map(analyzeArticle) });
+  } catch (error) {
+    console.error('[News Outlets] Error:', error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Poll every enabled outlet now
+app.post('/api/news/outlets/poll', async (req, res) => {
+  try {
+    res.json(jobResponse(await jobScheduler.runJob('outlet-feeds')));
+  } catch (error) {
+    console.error('[News Outlets] Error:', error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Add an outlet: { name, url, language: 'bn' | 'en', id?, enabled? }. The feed host must be in the RSS proxy allowlist.
+app.post('/api/news/outlets', (req, res) => {
+  const { outlet, error, conflict } = newsOutlets.createOutlet(req.body);
+  if (error) {
+    return res.status(conflict ? 409 : 400).json({ error });
+  }
+  res.status(201).json({ success: true, outlet });
+});
+
+// Update any subset of an outlet's fields (e.g. { enabled: false })
+app.put('/api/news/outlets/:outletId', (req, res) => {
+  const { outlet, error, notFound } = newsOutlets.updateOutlet(req.params.outletId, req.body);
+  if (error) {
+    return res.status(notFound ? 404 : 400).json({ error });
+  }
+  res.json({ success: true, outlet });
+});
+
+app.delete('/api/news/outlets/:outletId', (req, res) => {
+  const { outlet, error, notFound } = newsOutlets.deleteOutlet(req.params.outletId);
+  if (error) {
+    return res.status(notFound ? 404 : 400).json({ error });
+  }
+  res.json({ success: true, outlet });
 });
 
 // Get replies/comments for a specific tweet
-app.get('/api/twitter/replies/:tweet_id', async (req, res) => {
+app.get('/api/twitter/replies/:tweet_id', withCache({ route: 'twitter-replies', ttl: 120, staleTtl: 600 }, async (req, res) => {
   try {
     const { tweet_id } = req.params;
-    const { max_results = 20 } = req.query;
 
-    if (!tweet_id) {
-      return res.status(400).json({ error: 'Tweet ID parameter required' });
+    // The ID goes into a conversation_id: query, so it must be a tweet ID and nothing more
+    if (!/^\d{1,19}$/.test(tweet_id)) {
+      return res.status(400).json({ error: 'tweet_id must be a numeric tweet ID' });
     }
 
-    console.log(`[Replies] Fetching replies for tweet: ${tweet_id}`);
+    const { options, error } = parseSearchOptions(req.query, 20);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Search for tweets that are replies to this conversation
-    const query = `conversation_id:${tweet_id}`;
+    console.log(`[Replies] Rebuilding reply tree for tweet: ${tweet_id}`);
 
-    const data = await twitterRequest('/tweets/search/recent', {
-      query: query,
-      max_results: Math.min(parseInt(max_results), 100),
-      'tweet.fields': 'created_at,public_metrics,author_id,entities,in_reply_to_user_id,conversation_id',
-      'user.fields': 'name,username,profile_image_url,verified',
-      'expansions': 'author_id,in_reply_to_user_id'
+    // The tree needs the whole conversation, so walk pages unless the caller set a total
+    const tree = await buildReplyTree(tweet_id, {
+      ...options,
+      maxTotal: options.maxTotal || REPLY_TREE_MAX_TWEETS
     });
+    tweetArchive.ingestTweets({ data: tree.flat, includes: tree.includes }, 'replies');
 
     res.json({
       success: true,
-      data: data.data || [],
-      includes: data.includes || {},
-      meta: data.meta || {},
+      data: tree.flat,
+      includes: tree.includes,
+      thread: tree.thread,
+      summary: tree.summary,
+      meta: tree.meta,
       tweetId: tweet_id
     });
   } catch (error) {
@@ -781,15 +912,336 @@ app.get('/api/twitter/replies/:tweet_id', async (req, res) => {
     res.json({
       success: false,
       error: error.message,
-      rateLimited: error.message.includes('429'),
+      rateLimited: !!error.rateLimited,
       data: [],
       tweetId: req.params.tweet_id
     });
   }
+}));
+
+// =====================================================
+// RESPONSE CACHE ADMIN
+// =====================================================
+
+// Inspect cached responses (optionally ?route=twitter-search)
+app.get('/api/cache', (req, res) => {
+  res.json({
+    success: true,
+    stats: responseCache.getCacheStats(),
+    entries: responseCache.listEntries(req.query.route)
+  });
+});
+
+// Purge cached responses by ?key=, ?route= or ?prefix=, or everything
+app.delete('/api/cache', (req, res) => {
+  const { key, route, prefix } = req.query;
+  const removed = responseCache.purgeEntries({ key, route, prefix });
+  console.log(`[Cache] Purged ${removed} entries`);
+  res.json({ success: true, removed });
+});
+
+// =====================================================
+// TWEET ARCHIVE (beyond the 7-day recent-search window)
+// =====================================================
+
+// Query archived tweets by date range, author, hashtag and metric thresholds
+app.get('/api/archive/tweets', (req, res) => {
+  for (const key of ['from', 'to']) {
+    if (req.query[key] && isNaN(Date.parse(req.query[key]))) {
+      return res.status(400).json({ error: `${key} must be an ISO 8601 date` });
+    }
+  }
+
+  const result = tweetArchive.queryTweets(req.query);
+
+  res.json({
+    success: true,
+    ...result,
+    data: result.data.map(analyzeTweet),
+    fetchedAt: new Date().toISOString()
+  });
+});
+
+// Archive size and collector status
+app.get('/api/archive/stats', (req, res) => {
+  res.json({
+    success: true,
+    ...tweetArchive.getArchiveStats(),
+    fetchedAt: new Date().toISOString()
+  });
+});
+
+// Trigger a collection run now
+app.post('/api/archive/collect', async (req, res) => {
+  try {
+    res.json(jobResponse(await jobScheduler.runJob('tweet-archive')));
+  } catch (error) {
+    console.error('[Tweet Archive] Error:', error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// =====================================================
+// ACCOUNT ANALYTICS (snapshots of tracked handles)
+// =====================================================
+
+// Every account named in a monitoring profile is tracked
+function trackedUsernames() {
+  const names = monitoringProfiles.listProfiles().flatMap(profile => profile.accounts || []);
+  return Array.from(new Set(names));
+}
+
+function archiveTimeline(payload) {
+  tweetArchive.ingestTweets(payload, 'account-snapshots');
+}
+
+// Tracked accounts with their latest follower/following/tweet counts
+app.get('/api/analytics/accounts', (req, res) => {
+  res.json({
+    success: true,
+    tracked: trackedUsernames(),
+    accounts: accountAnalytics.listTrackedAccounts(),
+    status: accountAnalytics.getSnapshotStatus()
+  });
+});
+
+// Growth, engagement rate, cadence and best posts (?period=30d or ?from=&to=)
+app.get('/api/analytics/accounts/:username', (req, res) => {
+  const { from, to, error } = accountAnalytics.parsePeriod(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const analytics = accountAnalytics.getAccountAnalytics(req.params.username, { from, to }, Math.min(parseInt(req.query.best) || 5, 50));
+  if (!analytics) {
+    return res.status(404).json({ error: `No snapshots for @${req.params.username.replace(/^@/, '')}` });
+  }
+
+  res.json({ success: true, ...analytics, fetchedAt: new Date().toISOString() });
+});
+
+// Take a snapshot now (all tracked accounts, or { usernames: [...] })
+app.post('/api/analytics/accounts/snapshot', async (req, res) => {
+  const usernames = Array.isArray(req.body?.usernames) ? req.body.usernames : trackedUsernames();
+  if (usernames.length === 0) {
+    return res.status(400).json({ error: 'No accounts to snapshot' });
+  }
+  const invalid = usernames.find(name => typeof name !== 'string' || !/^@?\w{1,15}$/.test(name));
+  if (invalid !== undefined) {
+    return res.status(400).json({ error: `Invalid username: ${JSON.stringify(invalid)}` });
+  }
+
+  try {
+    if (!Array.isArray(req.body?.usernames)) {
+      return res.json(jobResponse(await jobScheduler.runJob('account-snapshots')));
+    }
+    const summary = await accountAnalytics.takeSnapshots(usernames, archiveTimeline);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('[Account Analytics] Error:', error.message);
+    res.json({ success: false, error: error.message, rateLimited: !!error.rateLimited });
+  }
+});
+
+// =====================================================
+// ENTITIES (parties and leaders recognised in tweets, news and transcripts)
+// =====================================================
+
+// The party/leader dictionary: aliases, and context aliases that only count alongside political context
+app.get('/api/entities', (req, res) => {
+  res.json({ success: true, data: getEntities() });
+});
+
+// Most-mentioned parties and leaders across archived tweets and stored headlines over
+// ?period= (default 7d) or ?from=&to=. ?source=tweets|news, ?type=party|leader, ?party=, ?limit=
+app.get('/api/entities/mentions', withCache({ route: 'entity-mentions', ttl: 300, staleTtl: 900 }, async (req, res) => {
+  const { from, to, error } = accountAnalytics.parsePeriod(req.query, '7d');
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { source, type, party } = req.query;
+  if (source && !entityMentions.SOURCES.includes(source)) {
+    return res.status(400).json({ error: `source must be one of ${entityMentions.SOURCES.join(', ')}` });
+  }
+  if (type && !entityMentions.ENTITY_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${entityMentions.ENTITY_TYPES.join(', ')}` });
+  }
+  if (party && !getEntities().some(entity => entity.type === 'party' && entity.id === party)) {
+    return res.status(404).json({ error: `Unknown party: ${party}` });
+  }
+
+  const items = entityMentions.collectItems({
+    tweets: !source || source === 'tweets' ? tweetArchive.getTweetsBetween(from, to) : [],
+    articles: !source || source === 'news' ? newsStore.getArticlesBetween(from, to) : []
+  });
+  const ranking = entityMentions.rankEntities(items, {
+    type,
+    party,
+    limit: Math.min(parseInt(req.query.limit) || 25, 100)
+  });
+
+  res.json({
+    success: true,
+    period: { from: new Date(from).toISOString(), to: new Date(to).toISOString() },
+    ...ranking,
+    fetchedAt: new Date().toISOString()
+  });
+}));
+
+// =====================================================
+// ALERTS (rules evaluated against news, tweets and transcripts)
+// =====================================================
+
+// Only the process that owns alerting (ALERTS_ENABLED, see alert-rules.cjs) serves rules and history
+app.use('/api/alerts', (req, res, next) => {
+  if (!alertRules.ENABLED) {
+    return res.status(503).json({ error: 'Alerts are handled by another server (ALERTS_ENABLED=false)' });
+  }
+  next();
+});
+
+// Alert rules with when each last fired
+app.get('/api/alerts/rules', (req, res) => {
+  res.json({ success: true, data: alertRules.listRules() });
+});
+
+// Add a rule: { name, type: 'news_volume' | 'tweet_engagement' | 'keyword', cooldownMinutes?, webhookUrl?, ... }
+//   news_volume: { threshold, windowMinutes?, constituency?, sentiment?, issue?, entity? }
+//   tweet_engagement: { threshold, entity?, keyword? }
+//   keyword: { phrases: [...], sources?: ['news', 'tweets', 'transcripts'] }
+app.post('/api/alerts/rules', (req, res) => {
+  const { rule, error, conflict } = alertRules.createRule(req.body);
+  if (error) {
+    return res.status(conflict ? 409 : 400).json({ error });
+  }
+  res.status(201).json({ success: true, rule });
+});
+
+// Update any subset of a rule's fields (e.g. { enabled: false }); the type is fixed
+app.put('/api/alerts/rules/:ruleId', (req, res) => {
+  const { rule, error, notFound } = alertRules.updateRule(req.params.ruleId, req.body);
+  if (error) {
+    return res.status(notFound ? 404 : 400).json({ error });
+  }
+  res.json({ success: true, rule });
+});
+
+app.delete('/api/alerts/rules/:ruleId', (req, res) => {
+  const { rule, error, notFound } = alertRules.deleteRule(req.params.ruleId);
+  if (error) {
+    return res.status(notFound ? 404 : 400).json({ error });
+  }
+  res.json({ success: true, rule });
+});
+
+// Fired alerts, newest first (?rule=, ?type=, ?source=news|tweets|transcripts, ?since=, ?limit=)
+app.get('/api/alerts', (req, res) => {
+  if (req.query.rule && !alertRules.getRule(req.query.rule)) {
+    return res.status(404).json({ error: `Alert rule not found: ${req.query.rule}` });
+  }
+  if (req.query.type && !alertRules.RULE_TYPES.includes(req.query.type)) {
+    return res.status(400).json({ error: `type must be one of ${alertRules.RULE_TYPES.join(', ')}` });
+  }
+  if (req.query.source && !alertRules.SOURCES.includes(req.query.source)) {
+    return res.status(400).json({ error: `source must be one of ${alertRules.SOURCES.join(', ')}` });
+  }
+  if (req.query.since && isNaN(Date.parse(req.query.since))) {
+    return res.status(400).json({ error: 'since must be an ISO 8601 date' });
+  }
+
+  res.json({ success: true, ...alertRules.getAlerts(req.query), fetchedAt: new Date().toISOString() });
+});
+
+// =====================================================
+// BACKGROUND JOBS (collectors the routes above serve from)
+// =====================================================
+
+jobScheduler.defineJob('outlet-feeds', async () => {
+  const summary = await newsOutlets.pollOutlets();
+  jobScheduler.requireSomeSuccess(summary.outlets);
+  return summary;
+}, {
+  description: 'Poll the regional outlet feeds',
+  intervalMs: NEWS_OUTLET_POLL_INTERVAL,
+  initialDelayMs: 15 * 1000
+});
+
+// Runs after the first outlet poll so outlet articles are merged into the seats
+jobScheduler.defineJob('constituency-news', newsCollector.collectConstituencyNews, {
+  description: 'Refresh news for every constituency and record the heatmap',
+  intervalMs: NEWS_COLLECT_INTERVAL,
+  initialDelayMs: 60 * 1000
+});
+
+// Twitter jobs need the bearer token to run on their own
+jobScheduler.defineJob('tweet-archive', async () => {
+  const summary = await tweetArchive.collectTweets(monitoringProfiles.listProfiles());
+  jobScheduler.requireSomeSuccess(summary.queries);
+  return summary;
+}, {
+  description: "Archive every profile's hashtags, keywords and accounts",
+  intervalMs: ARCHIVE_COLLECT_INTERVAL,
+  initialDelayMs: 10 * 1000,
+  enabled: !!TWITTER_BEARER_TOKEN
+});
+
+jobScheduler.defineJob('account-snapshots', async () => {
+  const summary = await accountAnalytics.takeSnapshots(trackedUsernames(), archiveTimeline);
+  jobScheduler.requireSomeSuccess(summary.accounts);
+  return summary;
+}, {
+  description: 'Snapshot the tracked accounts',
+  intervalMs: ACCOUNT_SNAPSHOT_INTERVAL,
+  initialDelayMs: 30 * 1000,
+  enabled: !!TWITTER_BEARER_TOKEN
+});
+
+// Response for a manually triggered run, in the shape the trigger routes returned before
+function jobResponse(run) {
+  if (run.status === 'failed') {
+    return { success: false, error: run.error, run: run.id };
+  }
+  if (run.status === 'running') {
+    return { success: true, skipped: true, reason: 'Job already running', run: run.id };
+  }
+  return { success: true, ...run.result, run: run.id };
+}
+
+// Every job with its schedule, last run and failure streak
+app.get('/api/jobs', (req, res) => {
+  res.json({
+    success: true,
+    scheduler: jobScheduler.getSchedulerStatus(),
+    jobs: jobScheduler.listJobs(),
+    news: newsCollector.getCollectionStatus()
+  });
+});
+
+// A job's recorded runs, newest first (?status=success|skipped|failed, ?limit=)
+app.get('/api/jobs/:name/runs', (req, res) => {
+  if (req.query.status && !jobScheduler.RUN_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ error: `status must be one of ${jobScheduler.RUN_STATUSES.join(', ')}` });
+  }
+
+  const runs = jobScheduler.getJobRuns(req.params.name, req.query);
+  if (!runs) {
+    return res.status(404).json({ error: `Unknown job: ${req.params.name}` });
+  }
+  res.json({ success: true, job: req.params.name, total: runs.length, runs });
+});
+
+// Run a job now (a run already in progress is returned as it is, status 'running')
+app.post('/api/jobs/:name/run', async (req, res) => {
+  const run = await jobScheduler.runJob(req.params.name);
+  if (!run) {
+    return res.status(404).json({ error: `Unknown job: ${req.params.name}` });
+  }
+  res.json({ success: run.status !== 'failed', run });
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+server.listen(PORT, '0.0.0.0', () => {
   const baseUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
   console.log(`\n========================================`);
   console.log(`Twitter & News Proxy Server - Port ${PORT}`);
@@ -799,12 +1251,28 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`TWITTER ENDPOINTS:`);
   console.log(`  BJP Bengal: ${baseUrl}/api/twitter/bjp-bengal`);
   console.log(`  Search: ${baseUrl}/api/twitter/search?query=BJP`);
+  console.log(`  Profiles: ${baseUrl}/api/profiles`);
+  console.log(`  Influencers: ${baseUrl}/api/twitter/influencers?period=7d`);
   console.log(`----------------------------------------`);
   console.log(`NEWS ENDPOINTS (Google News RSS):`);
   console.log(`  RSS Proxy: ${baseUrl}/api/rss-proxy?keyword=Kolkata`);
   console.log(`  Constituency: ${baseUrl}/api/news/constituency/wb_kolkata_bhowanipore`);
+  console.log(`  Registry: ${baseUrl}/api/constituencies?district=Kolkata`);
+  console.log(`  Outlets: ${baseUrl}/api/news/outlets/articles?constituency=wb_kolkata_bhowanipore`);
+  console.log(`----------------------------------------`);
+  console.log(`ARCHIVE ENDPOINTS:`);
+  console.log(`  Tweets: ${baseUrl}/api/archive/tweets?hashtag=BJPBengal`);
+  console.log(`  Stats: ${baseUrl}/api/archive/stats`);
+  console.log(`  Accounts: ${baseUrl}/api/analytics/accounts/BJP4Bengal?period=30d`);
+  console.log(`  Jobs: ${baseUrl}/api/jobs`);
+  console.log(`----------------------------------------`);
+  console.log(`ALERTS:`);
+  console.log(`  Socket.IO namespace /alerts (path /transcription)`);
+  console.log(`  Rules: ${baseUrl}/api/alerts/rules`);
   console.log(`========================================`);
   console.log(`Bearer Token: ${TWITTER_BEARER_TOKEN ? 'Configured' : 'NOT CONFIGURED!'}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`========================================\n`);
+
+  jobScheduler.startJobs();
 });
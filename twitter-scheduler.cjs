@@ -0,0 +1,263 @@
+/**
+ * Twitter Request Scheduler
+ * Queues Twitter API calls per endpoint, respects the x-rate-limit headers,
+ * backs off on 429/503 and coalesces identical in-flight requests
+ */
+
+// Lower number runs first
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+// How long a queued request may wait for budget before failing as rate limited
+const MAX_WAIT_MS = {
+  high: parseInt(process.env.TWITTER_MAX_WAIT_MS) || 30 * 1000,
+  normal: 60 * 1000,
+  low: 15 * 60 * 1000
+};
+
+const MAX_CONCURRENT_PER_ENDPOINT = 2;
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 2000;
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Per-endpoint budget and queue state, keyed by endpoint template
+const endpoints = new Map();
+
+// Request key -> pending promise, for coalescing identical calls
+const inFlight = new Map();
+
+// Tweets read this calendar month (counts against the monthly cap)
+const usage = { month: currentMonth(), tweetsRead: 0, requests: 0 };
+
+let jobSequence = 0;
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Collapse IDs and usernames so limits are tracked per endpoint, not per URL
+ */
+function endpointTemplate(endpoint) {
+  return endpoint
+    .replace(/^\/users\/by\/username\/[^/]+/, '/users/by/username/:username')
+    .replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+function getEndpointState(template) {
+  if (!endpoints.has(template)) {
+    endpoints.set(template, {
+      endpoint: template,
+      limit: null,
+      remaining: null,
+      resetAt: null,
+      blockedUntil: 0,
+      active: 0,
+      queue: [],
+      timer: null,
+      stats: { requests: 0, throttled: 0, retries: 0, coalesced: 0, failed: 0 }
+    });
+  }
+  return endpoints.get(template);
+}
+
+/**
+ * Create an error carrying the HTTP status and rate-limit details
+ */
+function createTwitterError(status, body, retryAt) {
+  const error = new Error(`Twitter API Error: ${status} - ${body}`);
+  error.status = status;
+  error.rateLimited = status === 429;
+  if (retryAt) error.retryAt = new Date(retryAt).toISOString();
+  return error;
+}
+
+/**
+ * Read x-rate-limit-* headers into the endpoint state
+ */
+function updateBudget(state, headers) {
+  const limit = headers.get('x-rate-limit-limit');
+  const remaining = headers.get('x-rate-limit-remaining');
+  const reset = headers.get('x-rate-limit-reset');
+
+  if (limit !== null) state.limit = parseInt(limit);
+  if (remaining !== null) state.remaining = parseInt(remaining);
+  if (reset !== null) state.resetAt = parseInt(reset) * 1000;
+}
+
+/**
+ * Milliseconds until the endpoint may be called again (0 when it can run now)
+ */
+function waitTime(state, now = Date.now()) {
+  let until = state.blockedUntil;
+  if (state.remaining === 0 && state.resetAt && state.resetAt > now) {
+    until = Math.max(until, state.resetAt);
+  }
+  return Math.max(0, until - now);
+}
+
+/**
+ * Dispatch queued jobs while budget and concurrency allow
+ */
+function pump(state) {
+  while (state.active < MAX_CONCURRENT_PER_ENDPOINT && state.queue.length > 0) {
+    const now = Date.now();
+    const wait = waitTime(state, now);
+
+    if (wait > 0) {
+      // Fail fast for callers that cannot wait until the window reopens
+      const retryAt = now + wait;
+      state.queue = state.queue.filter(job => {
+        if (retryAt <= job.deadline) return true;
+        state.stats.throttled++;
+        job.reject(createTwitterError(429, 'Rate limit budget exhausted, request not sent', retryAt));
+        return false;
+      });
+
+      if (state.queue.length > 0 && !state.timer) {
+        state.timer = setTimeout(() => {
+          state.timer = null;
+          pump(state);
+        }, wait + 50);
+      }
+      return;
+    }
+
+    const job = state.queue.shift();
+    state.active++;
+    // Reserve budget until the response headers tell us the real number
+    if (state.remaining !== null && state.remaining > 0) state.remaining--;
+    runJob(state, job);
+  }
+}
+
+/**
+ * Execute a job, retrying throttled and unavailable responses with backoff
+ */
+async function runJob(state, job) {
+  try {
+    state.stats.requests++;
+    if (usage.month !== currentMonth()) {
+      usage.month = currentMonth();
+      usage.tweetsRead = 0;
+      usage.requests = 0;
+    }
+    usage.requests++;
+
+    const response = await fetch(job.url, job.init);
+    updateBudget(state, response.headers);
+
+    if (response.ok) {
+      const data = await response.json();
+      if (Array.isArray(data.data)) usage.tweetsRead += data.data.length;
+      job.resolve(data);
+      return;
+    }
+
+    const body = await response.text();
+    const retryable = RETRYABLE_STATUSES.includes(response.status);
+
+    if (retryable) {
+      const backoff = BACKOFF_BASE_MS * Math.pow(2, job.attempts) + Math.floor(Math.random() * 500);
+      let retryAt = Date.now() + backoff;
+      if (response.status === 429) {
+        state.stats.throttled++;
+        state.remaining = 0;
+        if (state.resetAt && state.resetAt > retryAt) retryAt = state.resetAt;
+      }
+      state.blockedUntil = Math.max(state.blockedUntil, retryAt);
+
+      if (job.attempts < MAX_RETRIES && retryAt <= job.deadline) {
+        job.attempts++;
+        state.stats.retries++;
+        console.warn(`[Twitter Scheduler] ${response.status} on ${state.endpoint}, retry ${job.attempts}/${MAX_RETRIES} at ${new Date(retryAt).toISOString()}`);
+        state.queue.push(job);
+        state.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+        return;
+      }
+
+      state.stats.failed++;
+      console.error(`[Twitter API] Error: ${response.status} - ${body}`);
+      job.reject(createTwitterError(response.status, body, retryAt));
+      return;
+    }
+
+    state.stats.failed++;
+    console.error(`[Twitter API] Error: ${response.status} - ${body}`);
+    job.reject(createTwitterError(response.status, body));
+  } catch (error) {
+    state.stats.failed++;
+    job.reject(error);
+  } finally {
+    state.active--;
+    pump(state);
+  }
+}
+
+/**
+ * Queue a request against the Twitter API (init is the fetch init: method, headers, body).
+ * Identical GET URLs already in flight share a single upstream call.
+ */
+function scheduleTwitterRequest(endpoint, url, init, options = {}) {
+  const priority = PRIORITIES[options.priority] !== undefined ? options.priority : 'normal';
+  const method = (init.method || 'GET').toUpperCase();
+  const template = endpointTemplate(endpoint);
+  const state = getEndpointState(method === 'GET' ? template : `${method} ${template}`);
+  const coalesce = method === 'GET';
+
+  if (coalesce && inFlight.has(url)) {
+    state.stats.coalesced++;
+    return inFlight.get(url);
+  }
+
+  const maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : MAX_WAIT_MS[priority];
+
+  const promise = new Promise((resolve, reject) => {
+    state.queue.push({
+      url,
+      init,
+      priority: PRIORITIES[priority],
+      sequence: jobSequence++,
+      attempts: 0,
+      deadline: Date.now() + maxWaitMs,
+      resolve,
+      reject
+    });
+    state.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+    pump(state);
+  });
+
+  if (!coalesce) return promise;
+
+  const shared = promise.finally(() => {
+    inFlight.delete(url);
+  });
+  inFlight.set(url, shared);
+  return shared;
+}
+
+/**
+ * Current budget, queue depth and counters for every endpoint seen so far
+ */
+function getRateLimitStatus() {
+  const now = Date.now();
+  return {
+    endpoints: Array.from(endpoints.values()).map(state => ({
+      endpoint: state.endpoint,
+      limit: state.limit,
+      remaining: state.remaining,
+      resetAt: state.resetAt ? new Date(state.resetAt).toISOString() : null,
+      blockedForMs: waitTime(state, now),
+      queued: state.queue.length,
+      active: state.active,
+      ...state.stats
+    })),
+    inFlight: inFlight.size,
+    usage: { ...usage }
+  };
+}
+
+module.exports = {
+  PRIORITIES,
+  scheduleTwitterRequest,
+  getRateLimitStatus
+};
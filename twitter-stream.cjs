@@ -0,0 +1,490 @@
+/**
+ * Twitter Filtered Stream
+ * Consumes /tweets/search/stream and pushes matching tweets to Socket.IO clients,
+ * with rule management, reconnect/backfill handling and a local stub stream
+ */
+
+const {
+  TWITTER_API_BASE,
+  TWEET_FIELDS,
+  USER_FIELDS,
+  authHeaders,
+  twitterRequest,
+  twitterPost,
+  searchRecentTweets,
+  chunkQueryTerms
+} = require('./twitter-client.cjs');
+const tweetArchive = require('./tweet-archive.cjs');
+const { analyzeTweet } = require('./content-analysis.cjs');
+
+// Rule values are limited to 512 characters on the Basic/Pro tiers
+const RULE_MAX_LENGTH = parseInt(process.env.TWITTER_STREAM_RULE_MAX_LENGTH) || 512;
+
+// Rules created from monitoring profiles are tagged profile:<id>:<kind>
+const MANAGED_TAG_PREFIX = 'profile:';
+
+// Twitter sends a keep-alive every 20 seconds; reconnect if nothing arrives for 30
+const STALL_TIMEOUT_MS = 30 * 1000;
+
+// Minutes of backfill to request on reconnect (Pro/Enterprise only; 0 = use search gap fill)
+const BACKFILL_MINUTES = Math.min(parseInt(process.env.TWITTER_STREAM_BACKFILL_MINUTES) || 0, 5);
+
+const STUB_MODE = process.env.TWITTER_STREAM_STUB === 'true';
+const STUB_INTERVAL_MS = parseInt(process.env.TWITTER_STREAM_STUB_INTERVAL_MS) || 5000;
+
+const STREAM_PARAMS = {
+  'tweet.fields': `${TWEET_FIELDS},lang,conversation_id`,
+  'user.fields': USER_FIELDS,
+  'expansions': 'author_id'
+};
+
+const state = {
+  namespace: null,
+  running: false,
+  connected: false,
+  mode: STUB_MODE ? 'stub' : 'live',
+  controller: null,
+  stallTimer: null,
+  stubTimer: null,
+  connectedAt: null,
+  lastHeartbeatAt: null,
+  lastTweetAt: null,
+  lastTweetId: null,
+  tweetsReceived: 0,
+  reconnects: 0,
+  lastError: null,
+  // Rules kept locally in stub mode
+  stubRules: [],
+  stubRuleId: 1
+};
+
+// Recently emitted tweet IDs, so backfill does not resend them
+const recentlyEmitted = new Set();
+const RECENT_EMITTED_MAX = 2000;
+
+/**
+ * Derive stream rules from a monitoring profile ({ id, hashtags, keywords, accounts, mentionAccounts })
+ */
+function buildStreamRules(profile) {
+  const rules = [];
+  const add = (kind, terms) => {
+    const values = chunkQueryTerms(terms, '-is:retweet', RULE_MAX_LENGTH);
+    values.forEach((value, index) => {
+      const tag = `${MANAGED_TAG_PREFIX}${profile.id}:${kind}`;
+      rules.push({ value, tag: values.length > 1 ? `${tag}:${index + 1}` : tag });
+    });
+  };
+
+  if (profile.hashtags?.length) add('hashtags', profile.hashtags);
+  if (profile.keywords?.length) add('keywords', profile.keywords.map(k => `"${k}"`));
+  if (profile.accounts?.length) add('accounts', profile.accounts.map(a => `from:${a}`));
+
+  const mentionAccounts = profile.mentionAccounts?.length ? profile.mentionAccounts : profile.accounts || [];
+  if (mentionAccounts.length) add('mentions', mentionAccounts.map(a => `@${a}`));
+
+  return rules;
+}
+
+/**
+ * List the rules currently attached to the stream
+ */
+async function getStreamRules() {
+  if (state.mode === 'stub') return state.stubRules;
+
+  const data = await twitterRequest('/tweets/search/stream/rules', {}, { priority: 'high' });
+  return data.data || [];
+}
+
+/**
+ * Add rules ([{ value, tag }]) to the stream
+ */
+async function addStreamRules(rules) {
+  const invalid = rules.find(rule => !rule.value || rule.value.length > RULE_MAX_LENGTH);
+  if (invalid) {
+    throw new Error(`Rule value must be 1-${RULE_MAX_LENGTH} characters`);
+  }
+
+  if (state.mode === 'stub') {
+    const added = rules.map(rule => ({ id: String(state.stubRuleId++), value: rule.value, tag: rule.tag }));
+    state.stubRules.push(...added);
+    return added;
+  }
+
+  const data = await twitterPost('/tweets/search/stream/rules', { add: rules }, {}, { priority: 'high' });
+  if (data.errors?.length) {
+    console.warn('[Twitter Stream] Rule errors:', JSON.stringify(data.errors));
+  }
+  return data.data || [];
+}
+
+/**
+ * Delete rules by ID
+ */
+async function deleteStreamRules(ids) {
+  if (ids.length === 0) return 0;
+
+  if (state.mode === 'stub') {
+    const before = state.stubRules.length;
+    state.stubRules = state.stubRules.filter(rule => !ids.includes(rule.id));
+    return before - state.stubRules.length;
+  }
+
+  const data = await twitterPost('/tweets/search/stream/rules', { delete: { ids } }, {}, { priority: 'high' });
+  return data.meta?.summary?.deleted || 0;
+}
+
+/**
+ * Replace the profile-managed rules with ones built from the given profiles,
+ * leaving manually added rules untouched
+ */
+async function syncStreamRules(profiles) {
+  const desired = profiles.flatMap(buildStreamRules);
+  const existing = await getStreamRules();
+  const managed = existing.filter(rule => rule.tag?.startsWith(MANAGED_TAG_PREFIX));
+
+  const stale = managed.filter(rule => !desired.some(d => d.value === rule.value && d.tag === rule.tag));
+  const missing = desired.filter(d => !managed.some(rule => rule.value === d.value && rule.tag === d.tag));
+
+  const deleted = await deleteStreamRules(stale.map(rule => rule.id));
+  const added = missing.length > 0 ? await addStreamRules(missing) : [];
+
+  console.log(`[Twitter Stream] Synced rules: ${added.length} added, ${deleted} removed`);
+  return { added, deleted };
+}
+
+/**
+ * Emit a stream payload ({ data, includes, matching_rules }) to subscribed clients
+ */
+function dispatchTweet(payload, backfill = false) {
+  const tweet = payload.data;
+  if (!tweet?.id || recentlyEmitted.has(tweet.id)) return;
+
+  recentlyEmitted.add(tweet.id);
+  if (recentlyEmitted.size > RECENT_EMITTED_MAX) {
+    recentlyEmitted.delete(recentlyEmitted.values().next().value);
+  }
+
+  state.tweetsReceived++;
+  state.lastTweetAt = new Date().toISOString();
+  if (!state.lastTweetId || BigInt(tweet.id) > BigInt(state.lastTweetId)) {
+    state.lastTweetId = tweet.id;
+  }
+
+  tweetArchive.ingestTweets({ data: [tweet], includes: payload.includes }, 'stream');
+
+  const author = (payload.includes?.users || []).find(user => user.id === tweet.author_id) || null;
+  const matchingRules = payload.matching_rules || [];
+  const event = {
+    tweet: analyzeTweet(tweet),
+    author,
+    matching_rules: matchingRules,
+    backfill,
+    received_at: state.lastTweetAt
+  };
+
+  if (!state.namespace) return;
+
+  const tags = matchingRules.map(rule => rule.tag).filter(Boolean);
+  let target = state.namespace.to('all');
+  tags.forEach(tag => {
+    target = target.to(`tag:${tag}`);
+  });
+  target.emit('tweet', event);
+
+  if (tags.some(tag => /(^|:)mentions(:|$)/.test(tag))) {
+    state.namespace.to('mentions').emit('mention', event);
+  }
+}
+
+/**
+ * Fill the gap after a disconnect by searching each rule since the last tweet seen
+ */
+async function backfillFromSearch() {
+  if (!state.lastTweetId) return;
+
+  const rules = await getStreamRules();
+  for (const rule of rules) {
+    try {
+      const data = await searchRecentTweets(rule.value, {
+        sinceId: state.lastTweetId,
+        maxTotal: 100,
+        tweetFields: STREAM_PARAMS['tweet.fields'],
+        priority: 'low'
+      });
+      // Oldest first so clients receive them in order
+      data.data.slice().reverse().forEach(tweet => {
+        dispatchTweet({ data: tweet, includes: data.includes, matching_rules: [{ id: rule.id, tag: rule.tag }] }, true);
+      });
+    } catch (error) {
+      console.error(`[Twitter Stream] Backfill failed for rule ${rule.tag}:`, error.message);
+    }
+  }
+}
+
+function resetStallTimer() {
+  clearTimeout(state.stallTimer);
+  state.stallTimer = setTimeout(() => {
+    console.warn('[Twitter Stream] No data or keep-alive received, reconnecting');
+    state.controller?.abort();
+  }, STALL_TIMEOUT_MS);
+}
+
+/**
+ * Open the stream and read newline-delimited JSON until it closes.
+ * Resolves normally on disconnect; throws an error carrying status on HTTP failures.
+ */
+async function readStream(reconnecting) {
+  const url = new URL(`${TWITTER_API_BASE}/tweets/search/stream`);
+  Object.keys(STREAM_PARAMS).forEach(key => url.searchParams.append(key, STREAM_PARAMS[key]));
+  if (reconnecting && BACKFILL_MINUTES > 0) {
+    url.searchParams.append('backfill_minutes', BACKFILL_MINUTES);
+  }
+
+  state.controller = new AbortController();
+  const response = await fetch(url.toString(), {
+    headers: authHeaders(),
+    signal: state.controller.signal
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    const error = new Error(`Twitter Stream Error: ${response.status} - ${body}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  state.connected = true;
+  state.connectedAt = new Date().toISOString();
+  state.lastError = null;
+  console.log('[Twitter Stream] Connected');
+  resetStallTimer();
+
+  if (reconnecting && BACKFILL_MINUTES === 0) {
+    backfillFromSearch().catch(error => console.error('[Twitter Stream] Backfill error:', error.message));
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (state.running) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      resetStallTimer();
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split('\r\n');
+      buffer = lines.pop();
+
+      lines.forEach(line => {
+        if (!line.trim()) {
+          state.lastHeartbeatAt = new Date().toISOString();
+          return;
+        }
+        try {
+          const payload = JSON.parse(line);
+          if (payload.data) {
+            dispatchTweet(payload);
+          } else if (payload.errors) {
+            console.warn('[Twitter Stream] Stream errors:', JSON.stringify(payload.errors));
+          }
+        } catch (error) {
+          console.error('[Twitter Stream] Unparseable line:', line.substring(0, 100));
+        }
+      });
+    }
+  } finally {
+    clearTimeout(state.stallTimer);
+    state.connected = false;
+  }
+}
+
+/**
+ * Keep the stream connected, backing off per Twitter's reconnect guidance:
+ * linear for network errors, exponential for HTTP errors, longer for 429
+ */
+async function runStream() {
+  let networkDelay = 0;
+  let httpDelay = 5000;
+  let rateLimitDelay = 60 * 1000;
+  let reconnecting = false;
+
+  while (state.running) {
+    let delay = 0;
+    try {
+      await readStream(reconnecting);
+      // Clean disconnect: reset backoff and reconnect straight away
+      networkDelay = 0;
+      httpDelay = 5000;
+      rateLimitDelay = 60 * 1000;
+    } catch (error) {
+      if (!state.running) break;
+      state.lastError = error.message;
+
+      if (error.status === 401 || error.status === 403) {
+        console.error('[Twitter Stream] Not authorized for filtered stream, stopping:', error.message);
+        state.running = false;
+        break;
+      } else if (error.status === 429) {
+        delay = rateLimitDelay;
+        rateLimitDelay = Math.min(rateLimitDelay * 2, 15 * 60 * 1000);
+      } else if (error.status) {
+        delay = httpDelay;
+        httpDelay = Math.min(httpDelay * 2, 320 * 1000);
+      } else {
+        networkDelay = Math.min(networkDelay + 250, 16 * 1000);
+        delay = networkDelay;
+      }
+      console.warn(`[Twitter Stream] Disconnected (${error.message}), reconnecting in ${delay}ms`);
+    }
+
+    if (!state.running) break;
+    state.reconnects++;
+    reconnecting = true;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  state.connected = false;
+}
+
+/**
+ * Emit synthetic tweets matching the local rules, for development without stream access
+ */
+function startStub() {
+  const authors = [
+    { id: '9000000001', name: 'Kolkata Voter', username: 'kolkata_voter' },
+    { id: '9000000002', name: 'Bengal Desk', username: 'bengal_desk' }
+  ];
+  let counter = 0;
+
+  state.connected = true;
+  state.connectedAt = new Date().toISOString();
+  console.log(`[Twitter Stream] Stub stream emitting every ${STUB_INTERVAL_MS}ms`);
+
+  state.stubTimer = setInterval(() => {
+    if (state.stubRules.length === 0) return;
+
+    const rule = state.stubRules[counter % state.stubRules.length];
+    const author = authors[counter % authors.length];
+    const term = (rule.value.match(/[#@]\w+|"[^"]+"|from:\w+/) || ['BJP'])[0].replace('from:', '@');
+    const id = String(BigInt('1900000000000000000') + BigInt(Date.now()));
+    counter++;
+
+    dispatchTweet({
+      data: {
+        id,
+        text: `[stub] Discussion about ${term} in West Bengal #${counter}`,
+        author_id: author.id,
+        created_at: new Date().toISOString(),
+        lang: 'en',
+        conversation_id: id,
+        public_metrics: { retweet_count: 0, reply_count: 0, like_count: counter % 7, quote_count: 0 }
+      },
+      includes: { users: [author] },
+      matching_rules: [{ id: rule.id, tag: rule.tag }]
+    });
+  }, STUB_INTERVAL_MS);
+}
+
+/**
+ * Start consuming the stream (live or stub)
+ */
+function startStream() {
+  if (state.running) return;
+  state.running = true;
+
+  if (state.mode === 'stub') {
+    startStub();
+  } else {
+    runStream();
+  }
+}
+
+/**
+ * Stop consuming the stream
+ */
+function stopStream() {
+  state.running = false;
+  state.connected = false;
+  clearTimeout(state.stallTimer);
+  clearInterval(state.stubTimer);
+  state.controller?.abort();
+}
+
+/**
+ * Connection status and counters
+ */
+function getStreamStatus() {
+  return {
+    mode: state.mode,
+    running: state.running,
+    connected: state.connected,
+    connectedAt: state.connectedAt,
+    lastHeartbeatAt: state.lastHeartbeatAt,
+    lastTweetAt: state.lastTweetAt,
+    lastTweetId: state.lastTweetId,
+    tweetsReceived: state.tweetsReceived,
+    reconnects: state.reconnects,
+    backfillMinutes: BACKFILL_MINUTES,
+    clients: state.namespace ? state.namespace.sockets.size : 0,
+    lastError: state.lastError
+  };
+}
+
+/**
+ * Attach the /twitter namespace to a Socket.IO server and start the stream
+ * with rules for the given monitoring profiles.
+ * Clients emit 'subscribe' with { tags } (rule tags, 'mentions' or nothing for all)
+ * and receive 'tweet' and 'mention' events.
+ */
+function setupTwitterStream(io, profiles) {
+  state.namespace = io.of('/twitter');
+
+  state.namespace.on('connection', (socket) => {
+    console.log('[Twitter Stream] Client connected:', socket.id);
+
+    socket.on('subscribe', (data) => {
+      const tags = Array.isArray(data?.tags) && data.tags.length > 0 ? data.tags : ['all'];
+      tags.forEach(tag => {
+        socket.join(tag === 'all' || tag === 'mentions' ? tag : `tag:${tag}`);
+      });
+      socket.emit('subscribed', { tags, status: getStreamStatus() });
+    });
+
+    socket.on('unsubscribe', (data) => {
+      const tags = Array.isArray(data?.tags) ? data.tags : ['all'];
+      tags.forEach(tag => {
+        socket.leave(tag === 'all' || tag === 'mentions' ? tag : `tag:${tag}`);
+      });
+    });
+
+    socket.on('disconnect', () => {
+      console.log('[Twitter Stream] Client disconnected:', socket.id);
+    });
+  });
+
+  if (state.mode === 'stub' || process.env.TWITTER_STREAM_ENABLED === 'true') {
+    syncStreamRules(profiles)
+      .catch(error => {
+        state.lastError = error.message;
+        console.error('[Twitter Stream] Rule sync failed:', error.message);
+      })
+      .finally(startStream);
+  }
+
+  return state.namespace;
+}
+
+module.exports = {
+  buildStreamRules,
+  getStreamRules,
+  addStreamRules,
+  deleteStreamRules,
+  syncStreamRules,
+  startStream,
+  stopStream,
+  getStreamStatus,
+  setupTwitterStream
+};